@@ -0,0 +1,72 @@
+// check_cv_model.js
+// Offline check of the date handling in cv_model.js: entry headers keep words that only start
+// like a month ("Marketing", "Discussed") in the role, real months become "YYYY-MM", and dates
+// that cannot be shown as a month fall back to the year.
+//
+// Usage: node check_cv_model.js   (npm run check-cv-model); exits 1 when a check fails.
+
+const assert = require('assert');
+const { parseExperience, parseDate, formatDate } = require('./cv_model');
+
+// experience header line -> { role, startDate, endDate, current }
+const HEADERS = {
+  'Head of Marketing 2019 - 2021': { role: 'Head of Marketing', startDate: '2019', endDate: '2021', current: false },
+  'Machine Learning Engineer, 2020 - Present': { role: 'Machine Learning Engineer', startDate: '2020', endDate: null, current: true },
+  'Decorator, Mar 2018 - Dec. 2019': { role: 'Decorator', startDate: '2018-03', endDate: '2019-12', current: false },
+  'Product Designer, March 2019 – June 2021': { role: 'Product Designer', startDate: '2019-03', endDate: '2021-06', current: false },
+  'Sales Lead, Sept 2021 - now': { role: 'Sales Lead', startDate: '2021-09', endDate: null, current: true },
+  // Malay months and open ends
+  'Guru Bahasa Inggeris, Januari 2018 - kini': { role: 'Guru Bahasa Inggeris', startDate: '2018-01', endDate: null, current: true },
+  'Pegawai Pemasaran, Mac 2016 – Ogos 2017': { role: 'Pegawai Pemasaran', startDate: '2016-03', endDate: '2017-08', current: false },
+  'Pengurus Disiplin 2015 - 2016': { role: 'Pengurus Disiplin', startDate: '2015', endDate: '2016', current: false }
+};
+
+// parseDate input -> model date
+const DATES = {
+  'Marketing 2019': '2019',
+  'Discussed 2020': '2020',
+  'May 2020': '2020-05',
+  'dec. 2020': '2020-12',
+  'September 2018': '2018-09',
+  '03/2017': '2017-03',
+  '13/2017': '2017',
+  'constructor 2020': '2020',
+  'Disember 2019': '2019-12',
+  'mei 2021': '2021-05',
+  'Okt. 2022': '2022-10'
+};
+
+// formatDate input -> shown text
+const FORMATTED = {
+  '2021-03': 'Mar 2021',
+  '2020-00': '2020',
+  '2020-13': '2020',
+  2019: '2019'
+};
+
+function checkHeader(line, expected) {
+  const entry = parseExperience(`${line}\nAcme Sdn Bhd\n- Ran the launch campaign`)[0];
+  assert.ok(entry, 'no entry parsed');
+  for (const key of Object.keys(expected)) assert.strictEqual(entry[key], expected[key], key);
+}
+
+if (require.main === module) {
+  const checks = [
+    ...Object.keys(HEADERS).map(line => [`header ${JSON.stringify(line)}`, () => checkHeader(line, HEADERS[line])]),
+    ...Object.keys(DATES).map(d => [`parseDate ${JSON.stringify(d)}`, () => assert.strictEqual(parseDate(d), DATES[d])]),
+    ...Object.keys(FORMATTED).map(d => [`formatDate ${JSON.stringify(d)}`, () => assert.strictEqual(formatDate(d), FORMATTED[d])])
+  ];
+  let failed = 0;
+  for (const [name, run] of checks) {
+    try {
+      run();
+      console.log(`ok    ${name}`);
+    } catch (err) {
+      failed++;
+      console.log(`FAIL  ${name}: ${err.message}`);
+    }
+  }
+  if (failed) process.exit(1);
+}
+
+module.exports = { HEADERS, DATES, FORMATTED, checkHeader };
@@ -0,0 +1,66 @@
+// check_redact.js
+// Offline check of redact.js: personal details are masked, the anonymized mode replaces the name
+// (full name in any case, distinctive parts as capitalised words) and leaves months and everyday
+// words that share a name part ("May", "Will", "Mark") alone.
+//
+// Usage: node check_redact.js   (npm run check-redact); exits 1 when a check fails.
+
+const assert = require('assert');
+const { redactSections } = require('./redact');
+
+const REFERENCE = 'CAND-1';
+const MASK = '[redacted]';
+
+// { name, text, anonymize } -> exact redacted text
+const CASES = {
+  'month in the name': {
+    name: 'Jane May Doe',
+    text: 'Jane May Doe joined in May 2020. jane may doe. Jane leads teams.',
+    expected: `${REFERENCE} joined in May 2020. ${REFERENCE}. ${REFERENCE} leads teams.`
+  },
+  'name of everyday words': {
+    name: 'Will Mark',
+    text: 'Will Mark\nI will mark the Mark & Spencer account. WILL MARK reviewed it.',
+    expected: `${REFERENCE}\nI will mark the Mark & Spencer account. ${REFERENCE} reviewed it.`
+  },
+  'upper-case name': {
+    name: 'JANE DOE',
+    text: 'Jane Doe. jane  doe. Jane leads teams; Doe wrote it.',
+    expected: `${REFERENCE}. ${REFERENCE}. ${REFERENCE} leads teams; ${REFERENCE} wrote it.`
+  },
+  'particles stay': {
+    name: 'Aisyah binti Rahman',
+    text: 'Aisyah binti Rahman. Rahman leads the team. A bin of parts.',
+    expected: `${REFERENCE}. ${REFERENCE} leads the team. A bin of parts.`
+  },
+  'contact details': {
+    name: 'Jane Doe',
+    anonymize: false,
+    text: 'Email: jane@example.com | Phone: +60 12-345 6789\nIC No: 900312-10-5678\nDate of birth: 12/03/1990',
+    expected: `Email: ${MASK} | Phone: ${MASK}\nIC No: ${MASK}\nDate of birth: ${MASK}`
+  }
+};
+
+function checkCase({ name, text, anonymize = true, expected }) {
+  const sections = { name, raw: text, contacts: { emails: [], phones: [], links: [], location: '' } };
+  const { sections: out, report } = redactSections(sections, { anonymize, reference: REFERENCE, mask: MASK });
+  assert.strictEqual(out.raw, expected);
+  assert.strictEqual(out.name, anonymize ? REFERENCE : name, 'name');
+  assert.strictEqual(report.anonymized, anonymize, 'report.anonymized');
+}
+
+if (require.main === module) {
+  let failed = 0;
+  for (const label of Object.keys(CASES)) {
+    try {
+      checkCase(CASES[label]);
+      console.log(`ok    ${label}`);
+    } catch (err) {
+      failed++;
+      console.log(`FAIL  ${label}: ${err.message}`);
+    }
+  }
+  if (failed) process.exit(1);
+}
+
+module.exports = { CASES, checkCase };
@@ -0,0 +1,77 @@
+// check_sources.js
+// Offline check of the source adapters (sources.js) against the saved pages in fixtures/sources:
+// each page must go through the expected adapter and yield the assistant's CV only, without the
+// user's prompt, the "Sure, here is..." chatter around it or the page chrome.
+//
+// Usage: node check_sources.js   (npm run check-sources); exits 1 when a check fails.
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { extractFromHtml } = require('./sources');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'sources');
+
+// file -> { url it was saved from, adapter, assistant messages, text that must / must not be extracted }
+const CASES = {
+  'deepseek.html': {
+    url: 'https://chat.deepseek.com/a/chat/s/0f3c2a9e',
+    adapter: 'deepseek',
+    messages: 2,
+    includes: ['## Nur Aisyah', 'GitHub (https://github.com/nuraisyah)', '## Backend Developer, Grab — 2021 – Present',
+      '- Cut p99 latency of the pricing API by 40%.', 'Python, Go, PostgreSQL, Kafka, Docker'],
+    excludes: ['Please turn my notes', 'thanks, looks great', 'Here is a polished CV', 'Let me know', "You're welcome",
+      'New chat', 'Regenerate', '__ds_config']
+  },
+  'chatgpt-dom.html': {
+    url: 'https://chatgpt.com/share/6671c0de-91a4-8000-b1c2-5d2e1f0a7b3c',
+    adapter: 'chatgpt',
+    messages: 1,
+    includes: ['## Daniel Lim', 'LinkedIn (https://www.linkedin.com/in/daniellim)', 'Data Analyst, Shopee — 2022 – Present',
+      '- Automated campaign reporting with Python, saving 10 hours a week.', 'SQL, Tableau, Python, Excel'],
+    excludes: ['Write a CV for me', "Here's a CV draft", 'Hope this helps', 'Explore GPTs', 'Copy']
+  },
+  'chatgpt-json.html': {
+    url: 'https://chat.openai.com/share/4b1d7e22-0c9a-4f55-a3b8-92e6d1c0f7aa',
+    adapter: 'chatgpt',
+    messages: 1,
+    includes: ['## Siti Hajar', 'English Teacher, SMK Taman Melawati — 2019 – Present',
+      '- Coached the school debate team to the state final in 2023.', '- Google Classroom'],
+    excludes: ['Buat CV untuk saya', 'helpful assistant', 'Here is your CV', 'Feel free', '**', 'JavaScript']
+  },
+  'generic.html': {
+    url: 'https://hafiz.example.dev/resume',
+    adapter: 'generic',
+    messages: 0,
+    includes: ['## Hafiz Rahman', 'hafiz.example.dev (https://hafiz.example.dev)', '- Moved 40 services from VMs to Kubernetes.',
+      'Kubernetes, Terraform, AWS, Jenkins, Bash'],
+    excludes: ['Blog', 'devops', 'Subscribe', 'Built with Hugo', 'analytics.js', 'font-family']
+  }
+};
+
+function checkFixture(file, expected) {
+  const result = extractFromHtml(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'), expected.url);
+  assert.strictEqual(result.adapter, expected.adapter, 'adapter');
+  assert.strictEqual(result.messages, expected.messages, 'assistant messages');
+  for (const s of expected.includes) assert.ok(result.text.includes(s), `missing ${JSON.stringify(s)}`);
+  for (const s of expected.excludes) assert.ok(!result.text.includes(s), `should not contain ${JSON.stringify(s)}`);
+}
+
+if (require.main === module) {
+  let failed = 0;
+  for (const file of Object.keys(CASES)) {
+    try {
+      checkFixture(file, CASES[file]);
+      console.log(`ok    ${file}`);
+    } catch (err) {
+      failed++;
+      console.log(`FAIL  ${file}: ${err.message}`);
+    }
+  }
+  // fixtures without a case are probably new pages someone forgot to describe
+  const unchecked = fs.readdirSync(FIXTURES_DIR).filter(f => f.endsWith('.html') && !CASES[f]);
+  for (const file of unchecked) console.log(`skip  ${file}: no expectations in check_sources.js`);
+  if (failed) process.exit(1);
+}
+
+module.exports = { CASES, checkFixture };
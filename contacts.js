@@ -0,0 +1,190 @@
+// contacts.js
+// Contact details pulled from anywhere in the CV text (not just a "Contact" section),
+// plus a vCard built from the same data.
+//
+// extractContacts(text, { excludeUrls }) -> {
+//   emails: [], phones: [],             phones keep the CV's formatting; telHref() gives the tel: form
+//   links: [{ kind: 'linkedin'|'github'|'portfolio', url, label }],
+//   location: ''                        "City, Country" style string or ''
+// }
+// excludeUrls: links that belong to entries (project repos, employer sites) and are not personal.
+//
+// The patterns (EMAIL_RE, PHONE_RE, ...) and isPhone are shared with redact.js.
+
+const EMAIL_RE = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+// full URLs plus the bare forms people type in CVs ("linkedin.com/in/x", "www.site.com")
+const URL_RE = /\b(?:https?:\/\/[^\s<>"'()|,]+|(?:www\.)[^\s<>"'()|,]+|(?:[a-z]{2,3}\.)?linkedin\.com\/[^\s<>"'()|,]+|github\.com\/[^\s<>"'()|,]+)/gi;
+// starts with + or a trunk 0 (or sits behind a phone label); 9-15 digits in total
+const PHONE_RE = /(?:\+|\b0)\d[\d\s().-]{6,18}\d/g;
+const PHONE_LABEL_RE = /\b(?:phone|tel|telephone|mobile|mob|cell|hp|no\.? tel|telefon)\b\s*[:.]?\s*(\+?\(?\d[\d\s().-]{6,18}\d)/gi;
+const LOCATION_LABEL_RE = /\b(?:location|address|alamat|based in|lokasi)\s*[:-]?\s*([^|•·\n]{3,80})/i;
+
+// place names that make a short "A, B" line look like a location rather than a job/skill line
+const PLACES = [
+  'malaysia', 'singapore', 'indonesia', 'brunei', 'thailand', 'philippines', 'vietnam', 'india', 'china', 'japan', 'korea',
+  'australia', 'new zealand', 'united kingdom', 'uk', 'england', 'ireland', 'germany', 'france', 'netherlands', 'spain',
+  'italy', 'usa', 'united states', 'canada', 'uae', 'dubai', 'qatar', 'saudi arabia', 'remote',
+  'kuala lumpur', 'selangor', 'penang', 'pulau pinang', 'johor', 'johor bahru', 'perak', 'ipoh', 'kedah', 'kelantan', 'terengganu',
+  'pahang', 'melaka', 'malacca', 'negeri sembilan', 'sabah', 'sarawak', 'kuching', 'kota kinabalu', 'putrajaya', 'cyberjaya',
+  'petaling jaya', 'shah alam', 'subang jaya', 'london', 'new york', 'san francisco', 'sydney', 'melbourne', 'tokyo', 'jakarta', 'bangkok'
+];
+
+function uniq(list, key = v => v.toLowerCase()) {
+  const seen = new Set();
+  return list.filter(v => {
+    const k = key(v);
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+function normalizeUrl(u) {
+  const trimmed = String(u || '').replace(/[.,;:!?)\]]+$/, '');
+  return /^https?:\/\//i.test(trimmed) ? trimmed : 'https://' + trimmed;
+}
+
+function classifyUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return null;
+  }
+  const host = parsed.hostname.replace(/^www\./, '').toLowerCase();
+  const segs = parsed.pathname.split('/').filter(Boolean);
+  if (/(^|\.)linkedin\.com$/.test(host)) {
+    return segs[0] === 'in' && segs[1] ? { kind: 'linkedin', url, label: 'LinkedIn' } : null;
+  }
+  if (host === 'github.com') {
+    // github.com/user is a profile, github.com/user/repo is a project link
+    return segs.length === 1 ? { kind: 'github', url: `https://github.com/${segs[0]}`, label: 'GitHub' } : null;
+  }
+  if (/\.(png|jpe?g|gif|svg|pdf)$/i.test(parsed.pathname)) return null;
+  return { kind: 'portfolio', url, label: host + (parsed.pathname.length > 1 ? parsed.pathname.replace(/\/$/, '') : '') };
+}
+
+function phoneDigits(p) {
+  return String(p || '').replace(/[^\d+]/g, '').replace(/(?!^)\+/g, '');
+}
+
+// tel: URIs want the bare number; keep a leading + for international numbers
+function telHref(phone) {
+  return 'tel:' + phoneDigits(phone);
+}
+
+function isPhone(candidate) {
+  const digits = candidate.replace(/\D/g, '');
+  if (digits.length < 9 || digits.length > 15) return false;
+  // date ranges ("2014 - 2018", "01/2019 - 03/2021") are not phone numbers
+  if (/^\(?\d{4}\)?\s*[-–]\s*\(?\d{4}\)?$/.test(candidate.trim())) return false;
+  if (/(19|20)\d{2}\s*[-–]\s*(19|20)\d{2}/.test(candidate)) return false;
+  return true;
+}
+
+function findLocation(lines) {
+  for (const line of lines) {
+    const m = line.match(LOCATION_LABEL_RE);
+    if (m) return m[1].trim().replace(/[.;,]$/, '');
+  }
+  // unlabeled: a short segment in the top lines (where the name/contact block sits) naming a known place
+  for (const line of lines.slice(0, 10)) {
+    for (const seg of line.split(/\s*[|•·]\s*/)) {
+      const s = seg.trim();
+      if (!s || s.length > 60 || s.includes('@') || /\d{5,}|https?:|\.com/i.test(s)) continue;
+      const parts = s.toLowerCase().split(/\s*,\s*/);
+      if (parts.some(p => PLACES.includes(p)) && s.split(/\s+/).length <= 7) return s;
+    }
+  }
+  return '';
+}
+
+function extractContacts(text, { excludeUrls = [] } = {}) {
+  const src = String(text || '').replace(/\r/g, '');
+  const lines = src.split('\n').map(l => l.replace(/^#{1,6}\s+/, '').trim()).filter(Boolean);
+
+  const emails = uniq(src.match(EMAIL_RE) || []);
+
+  // labelled and unlabelled matches, kept in document order so the header number comes first
+  const found = [];
+  for (const re of [PHONE_LABEL_RE, PHONE_RE]) {
+    re.lastIndex = 0;
+    let m;
+    while ((m = re.exec(src))) found.push({ at: m.index + m[0].length - (m[1] || m[0]).length, value: m[1] || m[0] });
+  }
+  const phones = uniq(found.sort((a, b) => a.at - b.at)
+    .map(f => f.value.trim().replace(/[\s.-]+$/, ''))
+    .filter(isPhone), phoneDigits);
+
+  const excluded = new Set(excludeUrls.map(u => normalizeUrl(u).toLowerCase()));
+  const urls = (src.replace(EMAIL_RE, ' ').match(URL_RE) || []).map(normalizeUrl)
+    .filter(u => !excluded.has(u.toLowerCase()));
+  const links = uniq(urls.map(classifyUrl).filter(Boolean), l => l.url.toLowerCase().replace(/\/$/, ''));
+  // one profile per network; keep the first (header) occurrence
+  const byKind = {};
+  const kept = links.filter(l => {
+    if (l.kind === 'portfolio') return true;
+    if (byKind[l.kind]) return false;
+    byKind[l.kind] = true;
+    return true;
+  });
+
+  return { emails, phones, links: kept, location: findLocation(lines) };
+}
+
+// ------------------ vCard ------------------
+// vCard 3.0 text values escape backslash, comma, semicolon and newlines
+function vcText(s) {
+  return String(s || '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+}
+
+// lines longer than 75 octets are folded with CRLF + space
+function foldLine(line) {
+  const out = [];
+  let cur = '';
+  for (const ch of line) {
+    if (Buffer.byteLength(cur + ch) > 75) {
+      out.push(cur);
+      cur = ' ' + ch;
+    } else {
+      cur += ch;
+    }
+  }
+  out.push(cur);
+  return out.join('\r\n');
+}
+
+function buildVCard({ name = '', title = '', org = '', note = '' }, contacts) {
+  const c = contacts || { emails: [], phones: [], links: [], location: '' };
+  const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+  const family = parts.length > 1 ? parts[parts.length - 1] : '';
+  const given = parts.length > 1 ? parts.slice(0, -1).join(' ') : parts.join(' ');
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `N:${vcText(family)};${vcText(given)};;;`,
+    `FN:${vcText(name || 'Candidate')}`
+  ];
+  if (title) lines.push(`TITLE:${vcText(title)}`);
+  if (org) lines.push(`ORG:${vcText(org)}`);
+  c.emails.forEach(e => lines.push(`EMAIL;TYPE=INTERNET:${e}`));
+  c.phones.forEach(p => lines.push(`TEL;TYPE=CELL:${phoneDigits(p)}`));
+  c.links.forEach(l => lines.push(`URL;TYPE=${l.kind}:${l.url}`));
+  if (c.location) lines.push(`ADR;TYPE=HOME:;;;${vcText(c.location)};;;`);
+  if (note) lines.push(`NOTE:${vcText(note)}`);
+  lines.push('END:VCARD');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  EMAIL_RE,
+  URL_RE,
+  PHONE_RE,
+  PHONE_LABEL_RE,
+  extractContacts,
+  buildVCard,
+  telHref,
+  classifyUrl,
+  normalizeUrl,
+  isPhone
+};
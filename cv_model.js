@@ -0,0 +1,297 @@
+// cv_model.js
+// Structured CV model built on top of parseCvSections' text blocks.
+//
+// experience: [{ role, employer, location, startDate, endDate, current, bullets, confidence }]
+// education:  [{ institution, degree, startDate, endDate, confidence }]
+// projects:   [{ name, description, links, confidence }]
+// skills:     [{ name, category, level, years }] (see skills.js)
+//
+// Dates are normalised to "YYYY" or "YYYY-MM" (the partial ISO form JSON Resume uses).
+// confidence holds a 0..1 score per field: how sure the heuristics are that the value
+// landed in the right field (0 = not found).
+
+const { parseSkills } = require('./skills');
+
+// English + Malay month abbreviations (Malay-only spellings listed after the English ones so formatDate keeps "Mar", not "Mac")
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12,
+  mac: 3, mei: 5, ogo: 8, okt: 10, dis: 12
+};
+// full month names; only these and the abbreviations above count as months, so "Marketing 2019"
+// or "Discussed 2020" stay words
+const MONTH_NAMES = {
+  january: 1, february: 2, march: 3, april: 4, june: 6, july: 7, august: 8, september: 9, october: 10, november: 11, december: 12,
+  januari: 1, februari: 2, julai: 7, ogos: 8, oktober: 10, disember: 12
+};
+const MONTH_RE = '(?:jan(?:uary|uari)?|feb(?:ruary|ruari)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|julai|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?|mac|mei|ogos|okt(?:ober)?|dis(?:ember)?)(?:\\.|\\b)';
+const DATE_RE = `(?:${MONTH_RE}\\s+(?:19|20)\\d{2}|\\d{1,2}[/.](?:19|20)\\d{2}|(?:19|20)\\d{2})`;
+const OPEN_END_RE = '(?:present|current|now|today|ongoing|kini|sekarang|masa kini)';
+const RANGE_RE = new RegExp(`(${DATE_RE})\\s*(?:-|–|—|to|until|hingga|sehingga)\\s*(${DATE_RE}|${OPEN_END_RE})`, 'i');
+const SINGLE_DATE_RE = new RegExp(`(${DATE_RE})`, 'i');
+
+const BULLET_RE = /^\s*(?:[-•*–·▪●◦]|\d+[.)])\s+/;
+const URL_RE = /\b(?:https?:\/\/|www\.)[^\s<>()"']+[^\s<>().,;:!?'"]/gi;
+const BARE_LINK_RE = /\b(?:github\.com|gitlab\.com|behance\.net|dribbble\.com|linkedin\.com)\/[^\s<>()"']+[^\s<>().,;:!?'"]/gi;
+
+const EMPLOYER_HINT = /\b(?:sdn\.?\s*bhd|bhd|berhad|inc|ltd|llc|plc|corp(?:oration)?|company|co\.|gmbh|group|holdings|technologies|solutions|labs?|studio|agency|bank|university|universiti|hospital)\b/i;
+const INSTITUTION_HINT = /\b(?:universit(?:y|i)|college|kolej|institute|institut|school|sekolah|smk|sma|academy|akademi|polytechnic|politeknik|campus)\b/i;
+const DEGREE_HINT = /\b(?:bachelor|master|diploma|degree|doctor|ph\.?d|b\.?sc|m\.?sc|b\.?eng|m\.?eng|b\.?a|m\.?a|mba|certificate|foundation|matriculation|ijazah|sarjana|sijil|spm|stpm|a-levels?|o-levels?)\b/i;
+
+function parseDate(str) {
+  const s = String(str || '').trim().toLowerCase();
+  if (!s) return null;
+  let m = s.match(/^([a-z]+)\.?\s+((?:19|20)\d{2})$/);
+  if (m) {
+    const own = (table, key) => (Object.prototype.hasOwnProperty.call(table, key) ? table[key] : 0);
+    const mon = own(MONTHS, m[1]) || own(MONTH_NAMES, m[1]);
+    return mon ? `${m[2]}-${String(mon).padStart(2, '0')}` : m[2];
+  }
+  m = s.match(/^(\d{1,2})[/.]((?:19|20)\d{2})$/);
+  if (m && +m[1] >= 1 && +m[1] <= 12) return `${m[2]}-${m[1].padStart(2, '0')}`;
+  m = s.match(/(?:19|20)\d{2}/);
+  return m ? m[0] : null;
+}
+
+// pulls a date range (or a lone date) out of a line; returns the line with it removed
+function extractDates(line) {
+  let m = line.match(RANGE_RE);
+  if (m) {
+    const open = new RegExp(`^${OPEN_END_RE}$`, 'i').test(m[2]);
+    const start = parseDate(m[1]);
+    const end = open ? null : parseDate(m[2]);
+    return {
+      rest: line.replace(m[0], ' '),
+      startDate: start,
+      endDate: end,
+      current: open,
+      confidence: (start && start.length > 4) || (end && end.length > 4) ? 0.9 : 0.75
+    };
+  }
+  m = line.match(SINGLE_DATE_RE);
+  if (m) {
+    return { rest: line.replace(m[0], ' '), startDate: null, endDate: parseDate(m[1]), current: false, confidence: 0.5 };
+  }
+  return null;
+}
+
+function stripBullet(line) {
+  return line.replace(BULLET_RE, '').trim();
+}
+
+function findLinks(text) {
+  const found = (String(text || '').match(URL_RE) || []).concat(String(text || '').match(BARE_LINK_RE) || []);
+  const links = [];
+  for (const l of found) {
+    const href = /^https?:\/\//i.test(l) ? l : 'https://' + l;
+    if (!links.some(x => x === href || href.endsWith(x.replace(/^https?:\/\//, '')) || x.endsWith(href.replace(/^https?:\/\//, '')))) links.push(href);
+  }
+  return links;
+}
+
+// split a header line into parts on the usual separators
+function splitHeader(text) {
+  return text
+    .replace(/\s+(?:at|@)\s+/i, ' | ')
+    .split(/\s+[|–—-]\s+|\s*[|,]\s*|\s{2,}|\t/)
+    .map(p => p.replace(/^[\s,|()–—-]+|[\s,|()–—-]+$/g, '').trim())
+    .filter(Boolean);
+}
+
+// group lines into entries: a non-bullet line after bullets, or a second dated line, starts a new entry
+function groupEntries(text) {
+  const lines = String(text || '').split('\n').map(l => l.trim()).filter(Boolean);
+  const groups = [];
+  let cur = null;
+  for (const line of lines) {
+    const isBullet = BULLET_RE.test(line);
+    const dated = !isBullet && (RANGE_RE.test(line) || SINGLE_DATE_RE.test(line));
+    if (!cur || (!isBullet && cur.bullets.length) || (dated && cur.dated)) {
+      cur = { header: [], bullets: [], dated: false };
+      groups.push(cur);
+    }
+    if (isBullet) cur.bullets.push(stripBullet(line));
+    else {
+      cur.header.push(line);
+      if (dated) cur.dated = true;
+    }
+  }
+  return groups;
+}
+
+// ------------------ experience ------------------
+function parseExperience(text) {
+  return groupEntries(text).map(g => {
+    // long header lines without dates are usually descriptions that lost their bullet
+    const headerLines = [];
+    const bullets = [];
+    for (const h of g.header) {
+      if (headerLines.length && h.length > 90 && !RANGE_RE.test(h)) bullets.push(h);
+      else headerLines.push(h);
+    }
+    bullets.push(...g.bullets);
+
+    let header = headerLines.join(' | ');
+    const dates = extractDates(header);
+    if (dates) header = dates.rest;
+    const usedAt = /\s(?:at|@)\s/i.test(header);
+    let parts = splitHeader(header);
+
+    let swapped = false;
+    if (parts.length >= 2 && EMPLOYER_HINT.test(parts[0]) && !EMPLOYER_HINT.test(parts[1])) {
+      parts = [parts[1], parts[0]].concat(parts.slice(2));
+      swapped = true;
+    }
+    const [role = '', employer = '', ...rest] = parts;
+    const location = rest.join(', ');
+
+    return {
+      role,
+      employer,
+      location,
+      startDate: dates ? dates.startDate : null,
+      endDate: dates ? dates.endDate : null,
+      current: dates ? dates.current : false,
+      bullets,
+      confidence: {
+        role: role ? (usedAt ? 0.9 : parts.length >= 2 ? 0.7 : 0.4) : 0,
+        employer: employer ? (usedAt || EMPLOYER_HINT.test(employer) ? 0.9 : swapped ? 0.7 : 0.6) : 0,
+        location: location ? 0.5 : 0,
+        startDate: dates && dates.startDate ? dates.confidence : 0,
+        endDate: dates && (dates.endDate || dates.current) ? dates.confidence : 0,
+        bullets: bullets.length ? (g.bullets.length ? 0.9 : 0.6) : 0
+      }
+    };
+  }).filter(e => e.role || e.employer || e.bullets.length);
+}
+
+// ------------------ education ------------------
+// education entries rarely have bullets, so a group can hold several schools:
+// split it so each entry has at most one institution line
+function splitByInstitution(groups) {
+  const out = [];
+  for (const g of groups) {
+    let cur = null;
+    for (const line of g.header) {
+      if (!cur || (INSTITUTION_HINT.test(line) && cur.header.some(h => INSTITUTION_HINT.test(h)))) {
+        cur = { header: [], bullets: [] };
+        out.push(cur);
+      }
+      cur.header.push(line);
+    }
+    if (cur) cur.bullets = g.bullets;
+    else out.push(g);
+  }
+  return out;
+}
+
+function parseEducation(text) {
+  return splitByInstitution(groupEntries(text)).map(g => {
+    let header = g.header.concat(g.bullets).join(' | ');
+    const dates = extractDates(header);
+    if (dates) header = dates.rest;
+    const parts = splitHeader(header);
+
+    let institution = parts.find(p => INSTITUTION_HINT.test(p)) || '';
+    let degree = parts.find(p => p !== institution && DEGREE_HINT.test(p)) || '';
+    const byHint = { institution: !!institution, degree: !!degree };
+    const others = parts.filter(p => p !== institution && p !== degree);
+    if (!institution && others.length) institution = others.shift();
+    if (!degree && others.length) degree = others.shift();
+
+    return {
+      institution,
+      degree,
+      startDate: dates ? dates.startDate : null,
+      endDate: dates ? dates.endDate : null,
+      confidence: {
+        institution: institution ? (byHint.institution ? 0.9 : 0.4) : 0,
+        degree: degree ? (byHint.degree ? 0.9 : 0.4) : 0,
+        startDate: dates && dates.startDate ? dates.confidence : 0,
+        endDate: dates && dates.endDate ? dates.confidence : 0
+      }
+    };
+  }).filter(e => e.institution || e.degree);
+}
+
+// ------------------ projects ------------------
+function parseProjects(text) {
+  const lines = String(text || '').split('\n').map(l => l.trim()).filter(Boolean);
+  const projects = [];
+  let cur = null;
+  for (const line of lines) {
+    if (BULLET_RE.test(line) && cur) {
+      cur.description.push(stripBullet(line));
+      continue;
+    }
+    const clean = stripBullet(line);
+    const links = findLinks(clean);
+    let withoutLinks = clean;
+    for (const m of clean.match(URL_RE) || []) withoutLinks = withoutLinks.replace(m, ' ');
+    const m = withoutLinks.match(/^(.{2,80}?)\s*(?:[:|–—]|\s-\s)\s*(.+)$/);
+    cur = {
+      name: (m ? m[1] : withoutLinks).replace(/\s{2,}/g, ' ').trim(),
+      description: m ? [m[2].replace(/\s{2,}/g, ' ').trim()] : [],
+      links,
+      splitBySeparator: !!m
+    };
+    projects.push(cur);
+  }
+  return projects.map(p => ({
+    name: p.name,
+    description: p.description.join(' ').trim(),
+    links: p.links,
+    confidence: {
+      name: p.name ? (p.splitBySeparator ? 0.8 : 0.5) : 0,
+      description: p.description.length ? 0.7 : 0,
+      links: p.links.length ? 0.95 : 0
+    }
+  })).filter(p => p.name || p.links.length);
+}
+
+// ------------------ timeline ------------------
+// experience + education merged newest first (by end date, open-ended roles on top)
+function buildTimeline(model) {
+  const items = [];
+  for (const e of model.experience) {
+    if (!e.startDate && !e.endDate && !e.current) continue;
+    items.push({ kind: 'experience', title: e.role || e.employer, subtitle: e.role ? e.employer : '', startDate: e.startDate, endDate: e.endDate, current: e.current });
+  }
+  for (const e of model.education) {
+    if (!e.startDate && !e.endDate) continue;
+    items.push({ kind: 'education', title: e.degree || e.institution, subtitle: e.degree ? e.institution : '', startDate: e.startDate, endDate: e.endDate, current: false });
+  }
+  const key = i => i.current ? '9999' : (i.endDate || i.startDate || '');
+  return items.sort((a, b) => key(b).localeCompare(key(a)) || String(b.startDate || '').localeCompare(String(a.startDate || '')));
+}
+
+function buildCvModel(sections) {
+  const model = {
+    experience: parseExperience(sections.experience),
+    education: parseEducation(sections.education),
+    projects: parseProjects(sections.projects),
+    skills: parseSkills(sections.skills).skills
+  };
+  model.timeline = buildTimeline(model);
+  return model;
+}
+
+// "2021-03" -> "Mar 2021" (or monthNames[2] + " 2021" for localized output)
+function formatDate(d, monthNames) {
+  if (!d) return '';
+  const m = String(d).match(/^(\d{4})(?:-(\d{2}))?/);
+  if (!m) return String(d);
+  // a missing or impossible month ("2020-00", "2020-13") shows as the bare year
+  if (!m[2] || +m[2] < 1 || +m[2] > 12) return m[1];
+  if (monthNames && monthNames[+m[2] - 1]) return `${monthNames[+m[2] - 1]} ${m[1]}`;
+  const name = Object.keys(MONTHS).find(k => MONTHS[k] === +m[2] && k.length === 3);
+  return `${name[0].toUpperCase()}${name.slice(1)} ${m[1]}`;
+}
+
+function formatRange(start, end, current, presentLabel = 'Present', monthNames) {
+  const a = formatDate(start, monthNames);
+  const b = current ? presentLabel : formatDate(end, monthNames);
+  if (a && b) return `${a} – ${b}`;
+  return a || b;
+}
+
+module.exports = { buildCvModel, buildTimeline, parseExperience, parseEducation, parseProjects, parseDate, findLinks, formatDate, formatRange };
@@ -0,0 +1,180 @@
+// docx_structure.js
+// Keeps Word document structure when turning a DOCX into text for parseCvSections.
+//
+// Output is "marked text":
+//   ## Heading          top-level heading (Title / Heading 1 / outline level 0), or a lower heading or
+//                       bold-only paragraph that reads like a section title
+//   - item              list item (nested items are indented two spaces per level)
+//   label (https://..)  hyperlink, unless the label already is the URL
+// parseCvSections treats "## " lines as the only section boundaries when any are present.
+//
+// Two sources:
+// - htmlToMarkedText: mammoth.convertToHtml output (h1-h6 / ul / ol / a / strong)
+// - documentXmlToMarkedText: raw word/document.xml (+ styles.xml, document.xml.rels) for the zip fallback
+
+const cheerio = require('cheerio');
+
+// mammoth style map additions: CV templates often use Title/Subtitle or custom "Heading ..." styles.
+// h1 marks the top level; everything else comes out as h2 (first matching rule wins)
+const MAMMOTH_STYLE_MAP = [
+  "p[style-name='Title'] => h1:fresh",
+  "p[style-name='Heading 1'] => h1:fresh",
+  "p[style-name^='Section'] => h1:fresh",
+  "p[style-name='Subtitle'] => h2:fresh",
+  "p[style-name^='Heading'] => h2:fresh",
+  "p[style-name^='List Bullet'] => ul > li:fresh"
+];
+
+function squash(s) {
+  return String(s || '').replace(/[ \t ]+/g, ' ').trim();
+}
+
+// bold-only paragraphs and headings below the top level become headings only when short and
+// section-like, otherwise bold (or "Heading 2") job titles would split the experience section
+function boldLooksLikeHeading(text, isHeadingText) {
+  return text.length <= 60 && !/[.:;]$/.test(text) && (!isHeadingText || isHeadingText(text));
+}
+
+function withLinks($, el) {
+  const $el = $(el).clone();
+  $el.find('a[href]').each((i, a) => {
+    const href = $(a).attr('href') || '';
+    const label = squash($(a).text());
+    if (!/^(https?:|mailto:|tel:)/i.test(href)) return;
+    const shown = href.replace(/^mailto:|^tel:/i, '');
+    $(a).replaceWith(!label || label === href || label === shown ? shown : `${label} (${shown})`);
+  });
+  // keep explicit line breaks inside a paragraph
+  $el.find('br').replaceWith('\n');
+  return $el.text().split('\n').map(squash).filter(Boolean).join('\n');
+}
+
+// ------------------ mammoth HTML -> marked text ------------------
+function htmlToMarkedText(html, { isHeadingText } = {}) {
+  const $ = cheerio.load(`<body>${html || ''}</body>`);
+  const out = [];
+
+  const walkList = (list, depth) => {
+    $(list).children('li').each((i, li) => {
+      const $li = $(li).clone();
+      $li.children('ul, ol').remove();
+      const text = withLinks($, $li);
+      if (text) out.push('  '.repeat(depth) + '- ' + text.replace(/\n/g, ' '));
+      $(li).children('ul, ol').each((j, sub) => walkList(sub, depth + 1));
+    });
+  };
+
+  $('body').children().each((i, el) => {
+    const tag = (el.name || '').toLowerCase();
+    if (/^h[1-6]$/.test(tag)) {
+      const text = squash($(el).text());
+      if (text) out.push(tag === 'h1' || boldLooksLikeHeading(text, isHeadingText) ? '## ' + text : text);
+    } else if (tag === 'ul' || tag === 'ol') {
+      walkList(el, 0);
+    } else if (tag === 'table') {
+      $(el).find('tr').each((j, tr) => {
+        const cells = $(tr).children('td, th').map((k, td) => withLinks($, td).replace(/\n/g, ' ')).get().filter(Boolean);
+        if (cells.length) out.push(cells.join(' | '));
+      });
+    } else {
+      const text = withLinks($, el);
+      if (!text) return;
+      const strongText = squash($(el).children('strong, b').text());
+      if (strongText && strongText === squash($(el).text()) && boldLooksLikeHeading(text, isHeadingText)) out.push('## ' + text);
+      else out.push(text);
+    }
+  });
+
+  return out.join('\n');
+}
+
+// ------------------ word/document.xml -> marked text ------------------
+// styleId -> { name, outline } from word/styles.xml (style ids are localised, names/outline levels are not)
+function readStyles(stylesXml) {
+  const styles = {};
+  if (!stylesXml) return styles;
+  const $ = cheerio.load(stylesXml, { xmlMode: true });
+  $('w\\:style').each((i, st) => {
+    const id = $(st).attr('w:styleId');
+    if (!id) return;
+    styles[id] = {
+      name: $(st).children('w\\:name').attr('w:val') || id,
+      outline: $(st).find('w\\:pPr > w\\:outlineLvl').attr('w:val')
+    };
+  });
+  return styles;
+}
+
+function readRels(relsXml) {
+  const rels = {};
+  if (!relsXml) return rels;
+  const $ = cheerio.load(relsXml, { xmlMode: true });
+  $('Relationship').each((i, r) => {
+    if (/hyperlink$/i.test($(r).attr('Type') || '')) rels[$(r).attr('Id')] = $(r).attr('Target');
+  });
+  return rels;
+}
+
+function documentXmlToMarkedText(documentXml, { stylesXml = '', relsXml = '', isHeadingText } = {}) {
+  const styles = readStyles(stylesXml);
+  const rels = readRels(relsXml);
+  const $ = cheerio.load(documentXml || '', { xmlMode: true });
+  const out = [];
+
+  const runText = run => {
+    let t = '';
+    $(run).children().each((i, c) => {
+      if (c.name === 'w:t') t += $(c).text();
+      else if (c.name === 'w:tab') t += ' ';
+      else if (c.name === 'w:br' || c.name === 'w:cr') t += '\n';
+    });
+    return t;
+  };
+  const runBold = run => {
+    const b = $(run).find('w\\:rPr > w\\:b');
+    return b.length > 0 && b.attr('w:val') !== '0' && b.attr('w:val') !== 'false';
+  };
+
+  $('w\\:body').find('w\\:p').each((i, p) => {
+    // paragraphs inside tables are handled like any other paragraph
+    let text = '';
+    let boldChars = 0;
+    let chars = 0;
+    $(p).children().each((j, c) => {
+      if (c.name === 'w:r') {
+        const t = runText(c);
+        text += t;
+        chars += t.trim().length;
+        if (runBold(c)) boldChars += t.trim().length;
+      } else if (c.name === 'w:hyperlink') {
+        const label = $(c).children('w\\:r').map((k, r) => runText(r)).get().join('');
+        const target = rels[$(c).attr('r:id')];
+        chars += label.trim().length;
+        if ($(c).children('w\\:r').toArray().every(runBold)) boldChars += label.trim().length;
+        text += target && squash(label) !== target ? `${label} (${target.replace(/^mailto:/i, '')})` : label;
+      }
+    });
+    const lines = text.split('\n').map(squash).filter(Boolean);
+    if (!lines.length) return;
+
+    const pPr = $(p).children('w\\:pPr');
+    const styleId = pPr.children('w\\:pStyle').attr('w:val') || '';
+    const style = styles[styleId] || { name: styleId };
+    const outline = pPr.children('w\\:outlineLvl').attr('w:val') || style.outline;
+    const isHeading = /^(heading|title|subtitle)/i.test(style.name || '') || outline !== undefined;
+    const isTopHeading = isHeading && (outline !== undefined ? Number(outline) === 0 : /^(title|heading\s*1)$/i.test(style.name || ''));
+    const listLevel = pPr.find('w\\:numPr > w\\:ilvl').attr('w:val');
+    const isList = pPr.find('w\\:numPr').length > 0 || /list/i.test(style.name || '');
+
+    if (isTopHeading) out.push('## ' + lines.join(' '));
+    else if (isHeading && boldLooksLikeHeading(lines.join(' '), isHeadingText)) out.push('## ' + lines.join(' '));
+    else if (isHeading) out.push(lines.join(' '));
+    else if (isList) out.push('  '.repeat(Number(listLevel) || 0) + '- ' + lines.join(' '));
+    else if (chars && boldChars === chars && lines.length === 1 && boldLooksLikeHeading(lines[0], isHeadingText)) out.push('## ' + lines[0]);
+    else out.push(...lines);
+  });
+
+  return out.join('\n');
+}
+
+module.exports = { MAMMOTH_STYLE_MAP, htmlToMarkedText, documentXmlToMarkedText };
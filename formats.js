@@ -0,0 +1,138 @@
+// formats.js
+// Non-HTML renderings of the parsed `sections` object (same input as generateFullHtml):
+// - renderMarkdown: README / GitHub profile friendly Markdown
+// - renderPlainText: ATS-friendly plain text (no tables/columns/symbols, one fact per line)
+// Both use the structured model when the parser found entries and fall back to the raw text
+// blocks otherwise, like the HTML renderer does.
+// options: { language, skillLevels } (skillLevels: false leaves out "(Advanced, 5 years)" after skills)
+
+const { formatRange } = require('./cv_model');
+const { extractContacts } = require('./contacts');
+const { resolveLanguage } = require('./i18n');
+const { groupSkills, describeLevel, skillsOf } = require('./skills');
+
+// fixed order: recruiters and ATS expect experience first; the timeline is a visual-only section
+const SECTION_ORDER = ['experience', 'projects', 'education', 'skills', 'achievements'];
+
+function setup(sections, options) {
+  const lang = resolveLanguage(options.language, sections.language) || resolveLanguage('auto', sections.language);
+  return {
+    lang,
+    model: sections.structured || { experience: [], education: [], projects: [] },
+    contacts: sections.contacts || extractContacts(sections.raw || sections.contact || ''),
+    range: (a, b, current) => formatRange(a, b, current, lang.ui.present, lang.ui.months)
+  };
+}
+
+// [{ title, items: [{ text, matched }] }]; no titles when everything falls in one category
+// (matched: a skill the job description asks for, see job_match.js)
+function skillGroups(sections, lang, options) {
+  const groups = groupSkills(skillsOf(sections));
+  return groups.map(g => ({
+    title: groups.length > 1 ? lang.skillGroups[g.category] : '',
+    items: g.skills.map(s => {
+      const hint = options.skillLevels === false ? '' : describeLevel(s, lang.ui);
+      return { text: hint ? `${s.name} (${hint})` : s.name, matched: !!s.matched };
+    })
+  }));
+}
+
+function textLines(block) {
+  return String(block || '').split('\n').map(l => l.trim()).filter(Boolean);
+}
+
+// ------------------ Markdown ------------------
+function mdEscape(s) {
+  return String(s || '').replace(/([\\`*_[\]<>])/g, '\\$1').replace(/^(#+|\d+\.|[-+]) /, '\\$1 ');
+}
+
+function renderMarkdown(sections, options = {}) {
+  const { lang, model, contacts, range } = setup(sections, options);
+  const out = [`# ${mdEscape(sections.name)}`];
+  if (sections.label) out.push('', `_${mdEscape(sections.label)}_`);
+  if (sections.summary) out.push('', mdEscape(sections.summary));
+
+  const contactBits = [
+    ...contacts.emails.map(e => `[${mdEscape(e)}](mailto:${e})`),
+    ...contacts.phones.map(mdEscape),
+    ...contacts.links.map(l => `[${mdEscape(l.label)}](${l.url})`),
+    contacts.location ? mdEscape(contacts.location) : ''
+  ].filter(Boolean);
+  if (contactBits.length) out.push('', contactBits.join(' · '));
+
+  const blocks = {
+    experience: () => model.experience.map(e => {
+      const head = [e.role, e.employer].filter(Boolean).map(mdEscape).join(' — ');
+      const meta = [range(e.startDate, e.endDate, e.current), e.location].filter(Boolean).map(mdEscape).join(' · ');
+      return [`### ${head}`, meta ? `*${meta}*` : '', ...e.bullets.map(b => `- ${mdEscape(b)}`)].filter(Boolean).join('\n');
+    }),
+    projects: () => model.projects.map(p => [
+      `### ${mdEscape(p.name)}`,
+      p.description ? mdEscape(p.description) : '',
+      p.links.map(l => `[${mdEscape(l.replace(/^https?:\/\//, ''))}](${l})`).join(' · ')
+    ].filter(Boolean).join('\n\n')),
+    education: () => model.education.map(e => {
+      const meta = range(e.startDate, e.endDate, false);
+      return [`### ${[e.degree, e.institution].filter(Boolean).map(mdEscape).join(' — ')}`, meta ? `*${meta}*` : ''].filter(Boolean).join('\n');
+    }),
+    skills: () => {
+      const groups = skillGroups(sections, lang, options);
+      const item = i => (i.matched ? `**${mdEscape(i.text)}**` : mdEscape(i.text));
+      if (groups.length === 1) return [groups[0].items.map(item).join(' · ')];
+      return groups.length ? [groups.map(g => `- **${mdEscape(g.title)}:** ${g.items.map(item).join(', ')}`).join('\n')] : [];
+    },
+    achievements: () => []
+  };
+
+  for (const key of SECTION_ORDER) {
+    let entries = blocks[key]();
+    if (!entries.length) entries = textLines(sections[key]).length ? [textLines(sections[key]).map(l => /^[-•*]\s/.test(l) ? '- ' + mdEscape(l.replace(/^[-•*]\s*/, '')) : mdEscape(l)).join('\n')] : [];
+    if (!entries.length) continue;
+    out.push('', `## ${lang.titles[key]}`, '', entries.join('\n\n'));
+  }
+  return out.join('\n') + '\n';
+}
+
+// ------------------ plain text (ATS) ------------------
+function plain(s) {
+  // ATS parsers choke on decorative symbols; keep letters, digits and ordinary punctuation
+  return String(s || '').replace(/[•▪●◦■□➢►‣⁃]/g, '-').replace(/[“”]/g, '"').replace(/[‘’]/g, "'").replace(/[–—]/g, '-').replace(/\s+/g, ' ').trim();
+}
+
+function renderPlainText(sections, options = {}) {
+  const { lang, model, contacts, range } = setup(sections, options);
+  const out = [plain(sections.name).toUpperCase()];
+  if (sections.label) out.push(plain(sections.label));
+  const contactLine = [...contacts.emails, ...contacts.phones, ...contacts.links.map(l => l.url), contacts.location].filter(Boolean).map(plain);
+  if (contactLine.length) out.push(contactLine.join(' | '));
+
+  if (sections.summary) out.push('', lang.titles.summary.toUpperCase(), plain(sections.summary));
+
+  const blocks = {
+    experience: () => model.experience.map(e => [
+      plain(e.role || e.employer),
+      [e.role ? e.employer : '', e.location, range(e.startDate, e.endDate, e.current)].filter(Boolean).map(plain).join(' | '),
+      ...e.bullets.map(b => '- ' + plain(b))
+    ].filter(Boolean).join('\n')),
+    projects: () => model.projects.map(p => [plain(p.name), plain(p.description), ...p.links].filter(Boolean).join('\n')),
+    education: () => model.education.map(e => [
+      plain(e.degree || e.institution),
+      [e.degree ? e.institution : '', range(e.startDate, e.endDate, false)].filter(Boolean).map(plain).join(' | ')
+    ].filter(Boolean).join('\n')),
+    skills: () => {
+      const groups = skillGroups(sections, lang, options);
+      return groups.length ? [groups.map(g => (g.title ? plain(g.title) + ': ' : '') + g.items.map(i => plain(i.text)).join(', ')).join('\n')] : [];
+    },
+    achievements: () => []
+  };
+
+  for (const key of SECTION_ORDER) {
+    let entries = blocks[key]();
+    if (!entries.length) entries = textLines(sections[key]).length ? [textLines(sections[key]).map(l => plain(l.replace(/^[-•*]\s*/, '- '))).join('\n')] : [];
+    if (!entries.length) continue;
+    out.push('', lang.titles[key].toUpperCase(), entries.join('\n\n'));
+  }
+  return out.join('\n') + '\n';
+}
+
+module.exports = { renderMarkdown, renderPlainText };
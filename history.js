@@ -0,0 +1,164 @@
+// history.js
+// Version history of generated sites: every generation is kept as one JSON file so a
+// candidate's site can be compared over time and a bad regeneration undone.
+//
+// Layout: HISTORY_DIR/<cvId>/<versionId>.json
+//   cvId       which CV the versions belong to: the client's `cvId`, or the slug of the parsed name
+//              (of the candidate reference for anonymized output)
+//   versionId  "<UTC timestamp>-<random>", so a plain sort is chronological
+//
+// A version: {
+//   id, cvId, createdAt,
+//   source: { kind: 'url'|'upload'|'jsonResume'|'sections', sourceUrl, hash }   hash = sha256 of the CV text / document
+//   options: { themeType, themeColors, professional, language, canonicalUrl, skillLevels, jobDescription,
+//             redact, anonymize, reference, format, paper },
+//   sections,                       parseCvSections output (what was rendered; redacted when options.redact)
+//   output: { filename, mimeType, content },
+//   basedOn: { id, action: 'rerender'|'restore' } | null
+// }
+// Only the newest maxVersions per CV are kept.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { unifiedDiff } = require('./text_diff');
+
+const CV_ID_RE = /^[a-z0-9][a-z0-9-]{0,79}$/;
+const VERSION_ID_RE = /^\d{8}T\d{9}-[a-f0-9]{6}$/;
+// text fields compared by diffVersions (same keys the /parse review step edits)
+const SECTION_FIELDS = ['name', 'label', 'summary', 'experience', 'projects', 'education', 'skills', 'achievements', 'contact'];
+
+function isValidCvId(id) {
+  return typeof id === 'string' && CV_ID_RE.test(id);
+}
+
+function isValidVersionId(id) {
+  return typeof id === 'string' && VERSION_ID_RE.test(id);
+}
+
+function hashSource(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return crypto.createHash('sha256').update(text || '').digest('hex');
+}
+
+function newVersionId(date = new Date()) {
+  // 20261019T004611123-3fa2c1 (ms precision plus a random suffix: ids never collide)
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('.', '').replace('Z', '');
+  return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// listing entry: everything but the (large) sections and output content
+function versionSummary(v) {
+  return {
+    id: v.id,
+    cvId: v.cvId,
+    createdAt: v.createdAt,
+    name: v.sections && v.sections.name,
+    source: v.source,
+    options: v.options,
+    filename: v.output.filename,
+    mimeType: v.output.mimeType,
+    size: Buffer.byteLength(v.output.content || ''),
+    basedOn: v.basedOn || null
+  };
+}
+
+function versionIds(historyDir, cvId) {
+  if (!isValidCvId(cvId)) return [];
+  try {
+    return fs.readdirSync(path.join(historyDir, cvId))
+      .map(n => n.replace(/\.json$/, ''))
+      .filter(isValidVersionId)
+      .sort();
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveVersion(historyDir, { cvId, source, options, sections, output, basedOn = null }, maxVersions = 50) {
+  if (!isValidCvId(cvId)) throw new Error(`Invalid cvId "${cvId}"`);
+  const version = {
+    id: newVersionId(),
+    cvId,
+    createdAt: new Date().toISOString(),
+    source,
+    options,
+    sections,
+    output,
+    basedOn
+  };
+  const dir = path.join(historyDir, cvId);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, version.id + '.json'), JSON.stringify(version));
+
+  // retention: drop the oldest beyond maxVersions
+  const ids = versionIds(historyDir, cvId);
+  for (const old of ids.slice(0, Math.max(0, ids.length - maxVersions))) {
+    try {
+      fs.unlinkSync(path.join(dir, old + '.json'));
+    } catch (err) {
+      console.warn('history: could not remove', old, err && (err.message || err));
+    }
+  }
+  return version;
+}
+
+// null when the cvId / versionId is malformed or unknown
+function getVersion(historyDir, cvId, versionId) {
+  if (!isValidCvId(cvId) || !isValidVersionId(versionId)) return null;
+  const p = path.join(historyDir, cvId, versionId + '.json');
+  if (!fs.existsSync(p)) return null;
+  return JSON.parse(fs.readFileSync(p, 'utf8'));
+}
+
+// newest first
+function listVersions(historyDir, cvId) {
+  return versionIds(historyDir, cvId).reverse()
+    .map(id => getVersion(historyDir, cvId, id))
+    .filter(Boolean)
+    .map(versionSummary);
+}
+
+function listCvIds(historyDir) {
+  try {
+    return fs.readdirSync(historyDir).filter(isValidCvId).sort()
+      .map(cvId => {
+        const ids = versionIds(historyDir, cvId);
+        return { cvId, versions: ids.length, latest: ids[ids.length - 1] || null };
+      })
+      .filter(c => c.versions > 0);
+  } catch (e) {
+    return [];
+  }
+}
+
+// what changed from version a to version b: source, options, each section text and the output
+function diffVersions(a, b) {
+  const label = (v, what) => `${v.id}/${what}`;
+  const sections = {};
+  for (const key of SECTION_FIELDS) {
+    const diff = unifiedDiff((a.sections || {})[key] || '', (b.sections || {})[key] || '', { fromLabel: label(a, key), toLabel: label(b, key) });
+    if (diff) sections[key] = diff;
+  }
+  // entry counts catch re-parses that moved lines between entries without changing the text
+  const count = (v, k) => ((v.sections && v.sections.structured && v.sections.structured[k]) || []).length;
+  const entries = {};
+  for (const k of ['experience', 'education', 'projects']) {
+    if (count(a, k) !== count(b, k)) entries[k] = { from: count(a, k), to: count(b, k) };
+  }
+  const options = {};
+  for (const k of Object.keys(Object.assign({}, a.options, b.options))) {
+    if (JSON.stringify(a.options[k]) !== JSON.stringify(b.options[k])) options[k] = { from: a.options[k], to: b.options[k] };
+  }
+  return {
+    from: versionSummary(a),
+    to: versionSummary(b),
+    sourceChanged: a.source.hash !== b.source.hash,
+    options,
+    sections,
+    entries,
+    output: unifiedDiff(a.output.content, b.output.content, { fromLabel: label(a, a.output.filename), toLabel: label(b, b.output.filename) })
+  };
+}
+
+module.exports = { SECTION_FIELDS, isValidCvId, isValidVersionId, hashSource, saveVersion, getVersion, listVersions, listCvIds, diffVersions, versionSummary };
@@ -0,0 +1,160 @@
+// i18n.js
+// Per-language section heading dictionaries, source-language detection and output strings.
+//
+// keywords: short list of words whose presence makes a line a section boundary in unmarked text
+// headings: lowercase phrases per section key, used to find each section's heading line
+//           (matched with includes(), so "pengalaman" also covers "Pengalaman Kerja")
+// titles / empty: section titles and placeholder text for the generated page
+// skillGroups: subheadings of the grouped skills section (categories from skills.js)
+// ui: the remaining fixed strings in the page (date ranges, contact bar, footer)
+// locale: OpenGraph og:locale of pages rendered in this language
+// markers: common words used only for detection; lines that are a keyword heading count too
+//
+// To add a language: add an entry here; parseCvSections and generateFullHtml pick it up.
+
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGES = {
+  en: {
+    label: 'English',
+    locale: 'en_US',
+    keywords: ['experience', 'education', 'skills', 'projects', 'achievements', 'certificat', 'contact', 'summary'],
+    headings: {
+      summary: ['summary', 'profile', 'about me', 'objective'],
+      experience: ['experience', 'work experience', 'employment'],
+      education: ['education', 'academic', 'degree'],
+      skills: ['skills', 'technical skills', 'skill'],
+      projects: ['projects', 'project'],
+      achievements: ['achievements', 'awards', 'honours'],
+      contact: ['contact', 'email', 'phone', 'linkedin']
+    },
+    titles: { summary: 'Summary', experience: 'Experience', projects: 'Projects', education: 'Education', achievements: 'Achievements', skills: 'Skills', timeline: 'Timeline', contact: 'Contact' },
+    empty: {
+      experience: 'No experience section found.',
+      projects: 'No projects listed.',
+      education: 'No education section found.',
+      achievements: 'No achievements listed.',
+      skills: 'No skills found',
+      contact: 'No contact details found.'
+    },
+    skillGroups: {
+      languages: 'Programming languages',
+      frameworks: 'Frameworks & libraries',
+      databases: 'Databases',
+      cloud: 'Cloud & DevOps',
+      tools: 'Tools & software',
+      spoken: 'Languages',
+      soft: 'Soft skills',
+      other: 'Other'
+    },
+    ui: {
+      present: 'Present',
+      home: 'Home',
+      months: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+      saveContact: 'Save contact (.vcf)',
+      pageTitle: 'CV Website',
+      generatedBy: 'Generated by HTML-Generator',
+      theme: 'Theme',
+      colors: 'Colors',
+      levels: { beginner: 'Beginner', intermediate: 'Intermediate', advanced: 'Advanced', expert: 'Expert' },
+      years: n => (n === 1 ? '1 year' : `${n} years`),
+      redacted: '[redacted]'
+    },
+    markers: ['the', 'and', 'with', 'for', 'of', 'developed', 'managed', 'responsible', 'team', 'using']
+  },
+  ms: {
+    label: 'Bahasa Melayu',
+    locale: 'ms_MY',
+    keywords: ['pengalaman', 'pendidikan', 'kemahiran', 'projek', 'pencapaian', 'pensijilan', 'hubungi', 'ringkasan', 'profil'],
+    headings: {
+      summary: ['ringkasan', 'profil', 'tentang saya', 'objektif'],
+      experience: ['pengalaman kerja', 'pengalaman', 'pekerjaan'],
+      education: ['pendidikan', 'akademik', 'kelayakan akademik'],
+      skills: ['kemahiran', 'kebolehan'],
+      projects: ['projek'],
+      achievements: ['pencapaian', 'anugerah', 'pensijilan'],
+      contact: ['hubungi', 'maklumat peribadi', 'telefon', 'emel']
+    },
+    titles: { summary: 'Ringkasan', experience: 'Pengalaman Kerja', projects: 'Projek', education: 'Pendidikan', achievements: 'Pencapaian', skills: 'Kemahiran', timeline: 'Garis Masa', contact: 'Hubungi' },
+    empty: {
+      experience: 'Tiada bahagian pengalaman ditemui.',
+      projects: 'Tiada projek disenaraikan.',
+      education: 'Tiada bahagian pendidikan ditemui.',
+      achievements: 'Tiada pencapaian disenaraikan.',
+      skills: 'Tiada kemahiran ditemui',
+      contact: 'Tiada maklumat hubungan ditemui.'
+    },
+    skillGroups: {
+      languages: 'Bahasa pengaturcaraan',
+      frameworks: 'Rangka kerja & pustaka',
+      databases: 'Pangkalan data',
+      cloud: 'Awan & DevOps',
+      tools: 'Alatan & perisian',
+      spoken: 'Bahasa',
+      soft: 'Kemahiran insaniah',
+      other: 'Lain-lain'
+    },
+    ui: {
+      present: 'Kini',
+      home: 'Utama',
+      months: ['Jan', 'Feb', 'Mac', 'Apr', 'Mei', 'Jun', 'Jul', 'Ogos', 'Sep', 'Okt', 'Nov', 'Dis'],
+      saveContact: 'Simpan kenalan (.vcf)',
+      pageTitle: 'Laman CV',
+      generatedBy: 'Dijana oleh HTML-Generator',
+      theme: 'Tema',
+      colors: 'Warna',
+      levels: { beginner: 'Asas', intermediate: 'Sederhana', advanced: 'Mahir', expert: 'Pakar' },
+      years: n => `${n} tahun`,
+      redacted: '[dirahsiakan]'
+    },
+    markers: ['dan', 'yang', 'di', 'untuk', 'dengan', 'dalam', 'saya', 'kepada', 'sebagai', 'telah', 'syarikat', 'bahagian']
+  }
+};
+
+// own-property check: codes come from requests and CV data ("constructor" is not a language)
+function getLanguage(code) {
+  const key = String(code || '').toLowerCase().split(/[-_]/)[0];
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, key) ? Object.assign({ code: key }, LANGUAGES[key]) : null;
+}
+
+// every heading phrase for a section key, in the given languages (default: all of them)
+function sectionHeadings(key, codes = Object.keys(LANGUAGES)) {
+  return [...new Set(codes.flatMap(c => (LANGUAGES[c] && LANGUAGES[c].headings[key]) || []))];
+}
+
+// boundary keywords of the given languages (default: all, for extractors that run before detection)
+function sectionKeywords(codes = Object.keys(LANGUAGES)) {
+  return [...new Set(codes.flatMap(c => (LANGUAGES[c] && LANGUAGES[c].keywords) || []))];
+}
+
+// score each language by marker words + heading lines; ties and empty text go to the default
+function detectLanguage(text) {
+  const lines = String(text || '').toLowerCase().split('\n').map(l => l.replace(/^#{1,6}\s+/, '').trim()).filter(Boolean);
+  const words = lines.join(' ').split(/[^a-zÀ-ɏ]+/).filter(Boolean);
+  let best = DEFAULT_LANGUAGE;
+  let bestScore = 0;
+  for (const code of Object.keys(LANGUAGES)) {
+    const lang = LANGUAGES[code];
+    const markers = new Set(lang.markers);
+    let score = words.filter(w => markers.has(w)).length;
+    // a line that is just a heading of this language is strong evidence
+    score += 5 * lines.filter(l => l.split(/\s+/).length <= 4 && lang.keywords.some(h => l.startsWith(h))).length;
+    if (score > bestScore) {
+      best = code;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// "auto" / empty -> detected source language; unknown codes -> null (caller reports the error)
+function resolveLanguage(option, detected) {
+  if (!option || option === 'auto') return getLanguage(detected) || getLanguage(DEFAULT_LANGUAGE);
+  return getLanguage(option);
+}
+
+function listLanguages() {
+  return Object.keys(LANGUAGES).map(code => ({ code, label: LANGUAGES[code].label }));
+}
+
+module.exports = { DEFAULT_LANGUAGE, LANGUAGES, getLanguage, sectionHeadings, sectionKeywords, detectLanguage, resolveLanguage, listLanguages };
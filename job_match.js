@@ -0,0 +1,158 @@
+// job_match.js
+// Job-description tailoring: the parsed CV is scored against a job description with local
+// keyword / phrase matching (no external services) and re-ordered for that job.
+//
+// extractJobKeywords(text) -> [{ term, kind: 'skill'|'phrase'|'word', weight }]
+//   skill   taxonomy skills the job names (skills.js mentionedSkills), weighted highest
+//   phrase  two-word phrases the job repeats ("customer experience", "data pipeline")
+//   word    the job's most frequent remaining words, stop words and job-ad boilerplate left out
+//
+// tailorToJob(sections, jobDescription) -> { sections, report }
+//   sections  copy of the input whose structured model is re-ordered for the job: experience
+//             bullets and projects most relevant first (entries keep their chronological order),
+//             skills the job asks for marked `matched` and listed first. Text blocks are not touched,
+//             so the source CV (and what the history stores) stays as it was.
+//   report    { score, keywords: [{ term, kind, weight, covered }], covered, missing, matchedSkills }
+//             score: share of the keyword weight the CV covers, 0-100
+
+const { lookupSkill, mentionedSkills, skillsOf } = require('./skills');
+
+const MAX_TERMS = 25;
+const WEIGHTS = { skill: 3, phrase: 1.5, word: 1 };
+
+// English + Malay function words and words every job ad uses
+const STOP_WORDS = new Set(`
+a an the and or but if of to in on at by for with from as is are was were be been being it its this that these those
+we you our your us they their he she his her i me my who whom which what when where why how all any both each few more
+most other some such no nor not only own same so than too very can will just should would could may might must shall
+do does did done have has had having about above after again against below between into through during before under
+over out up down off further then once here there also etc eg ie per via within across including include includes
+job role position candidate candidates applicant applicants company team teams work working opportunity opportunities
+responsibilities responsibility requirement requirements qualification qualifications preferred required require
+requires ability able strong good excellent great plus bonus years year experience experienced knowledge understanding
+skill skills looking join ideal successful nice senior junior minimum least well new using use used based related relevant equivalent
+degree field environment fast paced dynamic day days time full part salary benefits apply applying please contact
+yang dan di ke dari untuk dengan dalam pada ini itu atau adalah akan oleh sebagai serta juga tidak boleh perlu mesti
+calon jawatan syarikat kerja pengalaman berpengalaman tahun kemahiran kelayakan sekurang kurangnya mempunyai baik tinggi
+diperlukan mahir
+`.split(/\s+/).filter(Boolean));
+
+function tokens(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}+#]*(?:[.-][\p{L}\p{N}+#]+)*/gu) || [];
+}
+
+// crude suffix folding so "services" / "service", "designed" / "designing" / "design" and
+// "apis" / "api" compare equal (only ever compared with each other, never shown)
+function stem(word) {
+  let w = word;
+  if (w.length > 3 && /[^s]s$/.test(w)) w = w.slice(0, -1);
+  if (w.length > 5 && /ing$/.test(w)) w = w.slice(0, -3);
+  else if (w.length > 4 && /ed$/.test(w)) w = w.slice(0, -2);
+  return w.length > 3 ? w.replace(/e$/, '') : w;
+}
+
+function isContentWord(word) {
+  return !STOP_WORDS.has(word) && (word.length >= 3 || /[+#]/.test(word)) && !/^\d/.test(word);
+}
+
+// clauses (sentences, list items) so phrases never span two of them
+function clauses(text) {
+  return String(text || '').split(/[\n.;:!?•·|()]+|,\s/).map(tokens).filter(t => t.length);
+}
+
+function extractJobKeywords(text) {
+  const skills = mentionedSkills(text).map(s => ({ term: s.name, kind: 'skill', weight: WEIGHTS.skill }));
+
+  const words = new Map();
+  const phrases = new Map();
+  const count = (map, key, surface, order) => {
+    const c = map.get(key) || { surface, n: 0, order };
+    c.n++;
+    map.set(key, c);
+  };
+  let order = 0;
+  for (const clause of clauses(text)) {
+    // taxonomy skills are already covered above
+    const content = clause.map(w => (isContentWord(w) && !lookupSkill(w) ? w : null));
+    content.forEach((w, i) => {
+      if (!w) return;
+      count(words, stem(w), w, order++);
+      const next = content[i + 1];
+      if (next) count(phrases, stem(w) + ' ' + stem(next), w + ' ' + next, order++);
+    });
+  }
+
+  const candidates = [];
+  for (const [key, c] of phrases) {
+    if (c.n >= 2) candidates.push({ key, term: c.surface, kind: 'phrase', weight: c.n * WEIGHTS.phrase, order: c.order });
+  }
+  for (const [key, c] of words) {
+    // a word that only ever appears inside a kept phrase adds nothing
+    const inPhrase = candidates.some(p => p.key.split(' ').includes(key) && p.weight / WEIGHTS.phrase >= c.n);
+    if (!inPhrase) candidates.push({ key, term: c.surface, kind: 'word', weight: c.n * WEIGHTS.word, order: c.order });
+  }
+  const rest = candidates
+    .sort((a, b) => b.weight - a.weight || a.order - b.order)
+    .slice(0, Math.max(10, MAX_TERMS - skills.length))
+    .map(({ term, kind, weight }) => ({ term, kind, weight }));
+  return skills.concat(rest);
+}
+
+// matcher for one keyword against a piece of text
+function keywordTest(k) {
+  if (k.kind === 'skill') return text => mentionedSkills(text).some(s => s.name === k.term);
+  const want = tokens(k.term).map(stem).join(' ');
+  return text => {
+    const t = tokens(text).map(stem);
+    if (k.kind === 'word') return t.includes(want);
+    return t.some((w, i) => w + ' ' + t[i + 1] === want);
+  };
+}
+
+// stable sort, highest score first
+function byRelevance(list, score) {
+  return list.map((item, i) => ({ item, i, s: score(item) }))
+    .sort((a, b) => b.s - a.s || a.i - b.i)
+    .map(x => x.item);
+}
+
+function tailorToJob(sections, jobDescription) {
+  const keywords = extractJobKeywords(jobDescription);
+  const tests = keywords.map(k => ({ k, test: keywordTest(k) }));
+  const score = text => tests.reduce((sum, { k, test }) => sum + (test(text) ? k.weight : 0), 0);
+
+  const model = sections.structured || { experience: [], education: [], projects: [], timeline: [] };
+  const cvSkills = skillsOf(sections);
+  const wanted = new Set(keywords.filter(k => k.kind === 'skill').map(k => k.term));
+  const skills = byRelevance(cvSkills.map(s => Object.assign({}, s, { matched: wanted.has(s.name) })), s => (s.matched ? 1 : 0));
+
+  const cvText = [sections.raw, sections.name, sections.label, sections.summary, sections.experience, sections.projects,
+    sections.education, sections.skills, sections.achievements].filter(Boolean).join('\n');
+  const report = keywords.map(({ term, kind, weight }, i) => ({
+    term,
+    kind,
+    weight,
+    covered: kind === 'skill' ? cvSkills.some(s => s.name === term) || tests[i].test(cvText) : tests[i].test(cvText)
+  }));
+  const total = report.reduce((sum, k) => sum + k.weight, 0);
+  const got = report.filter(k => k.covered).reduce((sum, k) => sum + k.weight, 0);
+
+  return {
+    sections: Object.assign({}, sections, {
+      structured: Object.assign({}, model, {
+        experience: model.experience.map(e => Object.assign({}, e, { bullets: byRelevance(e.bullets, score) })),
+        projects: byRelevance(model.projects, p => score([p.name, p.description].filter(Boolean).join('\n'))),
+        skills
+      })
+    }),
+    report: {
+      score: total ? Math.round((got / total) * 100) : 0,
+      keywords: report,
+      covered: report.filter(k => k.covered).map(k => k.term),
+      missing: report.filter(k => !k.covered).map(k => k.term),
+      matchedSkills: skills.filter(s => s.matched).map(s => s.name)
+    }
+  };
+}
+
+module.exports = { extractJobKeywords, tailorToJob };
@@ -0,0 +1,148 @@
+// jobs.js
+// In-memory generation jobs: stage-by-stage progress, per-stage warnings, cancellation and the result.
+//
+// createJob(run) starts run(progress) right away and returns the job. progress = {
+//   stage(name)          enter one of STAGES (earlier stages that never ran are marked skipped)
+//   warn(message)        attach a warning to the current stage
+//   signal               AbortSignal, aborted by cancelJob (pass it to fetch etc.)
+//   throwIfCancelled()   call between steps so a cancelled job stops doing work
+// }
+// run resolves to { status, body }: the HTTP status + JSON body the result endpoint replies with.
+//
+// Every change is also an event ({ id, type: 'stage'|'warning'|'done'|'failed'|'cancelled', ... })
+// kept on the job, so an SSE client that connects late (or reconnects) gets the full history.
+// Jobs live in memory only and are dropped JOB_TTL_MS after they finish.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const STAGES = [
+  { name: 'fetching', label: 'Fetching source' },
+  { name: 'extracting', label: 'Extracting DOCX/PDF' },
+  { name: 'parsing', label: 'Parsing sections' },
+  { name: 'rendering', label: 'Rendering' }
+];
+const JOB_TTL_MS = Number(process.env.JOB_TTL_MS) || 30 * 60 * 1000;
+const JOB_ID_RE = /^[a-f0-9]{24}$/;
+
+// stand-in for callers that run the same pipeline synchronously (/generate)
+const NO_PROGRESS = { stage() {}, warn() {}, signal: null, throwIfCancelled() {} };
+
+const jobs = new Map();
+
+function cancelledError() {
+  const err = new Error('Job was cancelled.');
+  err.cancelled = true;
+  return err;
+}
+
+function getJob(id) {
+  return JOB_ID_RE.test(String(id || '')) ? jobs.get(id) || null : null;
+}
+
+// what GET /jobs/:id and POST /jobs send back (no result body, no emitter)
+function jobSummary(job) {
+  const current = job.stages.find(s => s.status === 'running');
+  return {
+    id: job.id,
+    status: job.status,
+    stage: current ? current.name : null,
+    stages: job.stages.map(s => ({ name: s.name, label: s.label, status: s.status, warnings: s.warnings.slice() })),
+    createdAt: new Date(job.createdAt).toISOString(),
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null
+  };
+}
+
+function emit(job, event) {
+  const e = Object.assign({ id: job.events.length + 1 }, event);
+  job.events.push(e);
+  job.emitter.emit('event', e);
+}
+
+function finish(job, status, result) {
+  if (job.status !== 'running') return;
+  for (const s of job.stages) {
+    if (s.status === 'running') s.status = status === 'done' ? 'done' : status;
+    else if (s.status === 'pending') s.status = 'skipped';
+  }
+  job.status = status;
+  job.result = result;
+  job.finishedAt = Date.now();
+  const error = result && result.body && !result.body.ok ? result.body.error : undefined;
+  emit(job, { type: status, status: result ? result.status : null, error });
+  setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+}
+
+function createJob(run) {
+  const controller = new AbortController();
+  const job = {
+    id: crypto.randomBytes(12).toString('hex'),
+    status: 'running',
+    createdAt: Date.now(),
+    finishedAt: null,
+    stages: STAGES.map(s => ({ name: s.name, label: s.label, status: 'pending', warnings: [] })),
+    events: [],
+    result: null,
+    emitter: new EventEmitter(),
+    controller
+  };
+  job.emitter.setMaxListeners(50);
+  jobs.set(job.id, job);
+
+  const progress = {
+    signal: controller.signal,
+    throwIfCancelled() {
+      if (controller.signal.aborted) throw cancelledError();
+    },
+    stage(name) {
+      progress.throwIfCancelled();
+      const idx = job.stages.findIndex(s => s.name === name);
+      if (idx === -1) throw new Error(`Unknown job stage "${name}"`);
+      if (job.stages[idx].status === 'running') return;
+      job.stages.forEach((s, i) => {
+        if (s.status === 'running') s.status = 'done';
+        if (i < idx && s.status === 'pending') s.status = 'skipped';
+      });
+      job.stages[idx].status = 'running';
+      emit(job, { type: 'stage', stage: name, label: job.stages[idx].label });
+    },
+    warn(message) {
+      const current = job.stages.find(s => s.status === 'running');
+      if (current) current.warnings.push(String(message));
+      emit(job, { type: 'warning', stage: current ? current.name : null, message: String(message) });
+    }
+  };
+
+  // run on the next tick so the caller can answer with the job id before any work starts
+  setImmediate(async () => {
+    try {
+      const result = await run(progress);
+      progress.throwIfCancelled();
+      finish(job, result.status < 400 ? 'done' : 'failed', result);
+    } catch (err) {
+      if ((err && err.cancelled) || controller.signal.aborted) return finish(job, 'cancelled', null);
+      console.error('job error:', err && (err.stack || err.message || err));
+      finish(job, 'failed', { status: 500, body: { ok: false, error: err.message || String(err) } });
+    }
+  });
+  return job;
+}
+
+// false when the job already finished
+function cancelJob(job) {
+  if (job.status !== 'running') return false;
+  job.controller.abort();
+  finish(job, 'cancelled', null);
+  return true;
+}
+
+// events after lastEventId (0 = all); calls onEvent for each and returns an unsubscribe function.
+// A finished job emits nothing more, so its subscribers only get the replay (no listener to leak).
+function subscribe(job, lastEventId, onEvent) {
+  job.events.filter(e => e.id > lastEventId).forEach(onEvent);
+  if (job.status !== 'running') return () => {};
+  job.emitter.on('event', onEvent);
+  return () => job.emitter.removeListener('event', onEvent);
+}
+
+module.exports = { STAGES, NO_PROGRESS, createJob, getJob, jobSummary, cancelJob, subscribe };
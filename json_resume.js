@@ -0,0 +1,200 @@
+// json_resume.js
+// JSON Resume (https://jsonresume.org/schema) <-> sections conversion.
+//
+// fromJsonResume(doc)  -> sections object shaped like parseCvSections() output
+//                         (text blocks + `structured` model), so generateFullHtml works unchanged.
+// toJsonResume(sections) -> JSON Resume document; parse confidence is kept in meta.parseConfidence
+//                           so a hand-corrected copy can be told apart from raw parser output.
+
+const { buildTimeline, formatRange, parseDate } = require('./cv_model');
+const { extractContacts, classifyUrl } = require('./contacts');
+const { detectLanguage } = require('./i18n');
+const { parseSkills, skillsOf } = require('./skills');
+
+// JSON Resume dates are "YYYY-MM-DD" (or partial); the model uses "YYYY" / "YYYY-MM"
+function toModelDate(d) {
+  if (!d) return null;
+  const m = String(d).match(/^(\d{4})(?:-(\d{2}))?/);
+  // "2020-13-01" keeps only the year rather than a month formatDate cannot name
+  if (m) return m[2] && +m[2] >= 1 && +m[2] <= 12 ? `${m[1]}-${m[2]}` : m[1];
+  return parseDate(d);
+}
+
+function str(v) {
+  return typeof v === 'string' ? v.trim() : '';
+}
+
+function arr(v) {
+  return Array.isArray(v) ? v : [];
+}
+
+// minimal shape check: must be an object with at least one section we know how to render
+function validateJsonResume(doc) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return 'jsonResume must be a JSON object';
+  const known = ['basics', 'work', 'education', 'skills', 'projects', 'awards', 'volunteer', 'certificates'];
+  if (!known.some(k => doc[k])) return `jsonResume has none of: ${known.join(', ')}`;
+  if (doc.basics && (typeof doc.basics !== 'object' || Array.isArray(doc.basics))) return 'jsonResume.basics must be an object';
+  // every list entry is read as an object ("work": [null] would fail deep inside fromJsonResume)
+  const lists = known.slice(1).concat('publications').map(k => [k, doc[k]]).concat([['basics.profiles', doc.basics && doc.basics.profiles]]);
+  for (const [k, list] of lists) {
+    if (!list) continue;
+    if (!Array.isArray(list)) return `jsonResume.${k} must be an array`;
+    const bad = list.findIndex(item => !item || typeof item !== 'object' || Array.isArray(item));
+    if (bad >= 0) return `jsonResume.${k}[${bad}] must be an object`;
+  }
+  return null;
+}
+
+function fromJsonResume(doc) {
+  const basics = doc.basics || {};
+  const loc = basics.location || {};
+  const location = str(loc.address) || [str(loc.city), str(loc.region), str(loc.countryCode)].filter(Boolean).join(', ');
+
+  const experience = arr(doc.work).concat(arr(doc.volunteer).map(v => Object.assign({ name: v.organization }, v))).map(w => {
+    const bullets = arr(w.highlights).map(str).filter(Boolean);
+    if (str(w.summary)) bullets.unshift(str(w.summary));
+    const startDate = toModelDate(w.startDate);
+    const endDate = toModelDate(w.endDate);
+    return {
+      role: str(w.position),
+      employer: str(w.name),
+      location: str(w.location),
+      startDate,
+      endDate,
+      current: !!startDate && !endDate,
+      bullets,
+      url: str(w.url),
+      confidence: { role: 1, employer: 1, location: 1, startDate: 1, endDate: 1, bullets: 1 }
+    };
+  });
+
+  const education = arr(doc.education).map(e => ({
+    institution: str(e.institution),
+    degree: [str(e.studyType), str(e.area)].filter(Boolean).join(' in '),
+    startDate: toModelDate(e.startDate),
+    endDate: toModelDate(e.endDate),
+    confidence: { institution: 1, degree: 1, startDate: 1, endDate: 1 }
+  }));
+
+  const projects = arr(doc.projects).map(p => ({
+    name: str(p.name),
+    description: [str(p.description)].concat(arr(p.highlights).map(str)).filter(Boolean).join(' '),
+    links: [str(p.url)].filter(Boolean),
+    confidence: { name: 1, description: 1, links: 1 }
+  }));
+
+  // "Web Development: HTML, CSS" (the name is a category label) or "Python (Advanced)"
+  const skills = arr(doc.skills).map(s => {
+    const keywords = arr(s.keywords).map(str).filter(Boolean);
+    if (keywords.length) return (str(s.name) ? str(s.name) + ': ' : '') + keywords.join(', ');
+    return str(s.name) && str(s.level) ? `${str(s.name)} (${str(s.level)})` : str(s.name);
+  }).filter(Boolean).join('\n');
+
+  const model = { experience, education, projects, skills: parseSkills(skills).skills };
+  model.timeline = buildTimeline(model);
+
+  const achievements = arr(doc.awards).map(a => [str(a.title), str(a.awarder), str(a.date)].filter(Boolean).join(' — '))
+    .concat(arr(doc.certificates).map(c => [str(c.name), str(c.issuer), str(c.date)].filter(Boolean).join(' — ')))
+    .concat(arr(doc.publications).map(p => [str(p.name), str(p.publisher), str(p.releaseDate)].filter(Boolean).join(' — ')))
+    .filter(Boolean).join('\n');
+
+  const contact = [str(basics.email), str(basics.phone), str(basics.url), location]
+    .concat(arr(basics.profiles).map(p => str(p.url) || [str(p.network), str(p.username)].filter(Boolean).join(': ')))
+    .filter(Boolean).join('\n');
+
+  // text blocks mirror what parseCvSections would have produced for the same CV
+  const experienceText = experience.map(e => [
+    [e.role, e.employer, e.location].filter(Boolean).join(', ') + (formatRange(e.startDate, e.endDate, e.current) ? ' — ' + formatRange(e.startDate, e.endDate, e.current) : ''),
+    ...e.bullets.map(b => '- ' + b)
+  ].join('\n')).join('\n');
+  const educationText = education.map(e => [e.institution, e.degree].filter(Boolean).join(' — ') + (formatRange(e.startDate, e.endDate) ? ', ' + formatRange(e.startDate, e.endDate) : '')).join('\n');
+  const projectsText = projects.map(p => [p.name, p.description].filter(Boolean).join(' — ') + (p.links[0] ? ' ' + p.links[0] : '')).join('\n');
+
+  // same shape as contacts.js extractContacts()
+  const profileLinks = [str(basics.url)].concat(arr(basics.profiles).map(p => str(p.url))).filter(Boolean)
+    .map(url => classifyUrl(url) || { kind: 'portfolio', url, label: url.replace(/^https?:\/\//, '') });
+  const contacts = {
+    emails: [str(basics.email)].filter(Boolean),
+    phones: [str(basics.phone)].filter(Boolean),
+    links: profileLinks,
+    location
+  };
+
+  const sections = {
+    name: str(basics.name) || 'Candidate Name',
+    summary: str(basics.summary) || str(basics.label),
+    label: str(basics.label),
+    experience: experienceText,
+    education: educationText,
+    skills,
+    projects: projectsText,
+    achievements,
+    contact,
+    contacts,
+    structured: model
+  };
+  sections.raw = [sections.name, sections.label, sections.summary, contact, 'Experience', experienceText, 'Education', educationText,
+    'Skills', skills, 'Projects', projectsText, 'Achievements', achievements].filter(Boolean).join('\n');
+  sections.language = detectLanguage(sections.raw);
+  return sections;
+}
+
+function toJsonResume(sections) {
+  const model = sections.structured || { experience: [], education: [], projects: [] };
+  const contacts = sections.contacts || extractContacts(sections.raw || sections.contact || '');
+  const website = contacts.links.find(l => l.kind === 'portfolio');
+  const networks = { linkedin: 'LinkedIn', github: 'GitHub' };
+
+  return {
+    $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+    basics: {
+      name: sections.name || '',
+      label: sections.label || '',
+      email: contacts.emails[0] || '',
+      phone: contacts.phones[0] || '',
+      url: website ? website.url : undefined,
+      summary: sections.summary || '',
+      location: contacts.location ? { address: contacts.location } : undefined,
+      profiles: contacts.links.filter(l => networks[l.kind]).map(l => ({
+        network: networks[l.kind],
+        username: l.url.replace(/\/$/, '').split('/').pop(),
+        url: l.url
+      }))
+    },
+    work: model.experience.map(e => ({
+      name: e.employer,
+      position: e.role,
+      location: e.location || undefined,
+      startDate: e.startDate || undefined,
+      endDate: e.endDate || undefined,
+      highlights: e.bullets
+    })),
+    education: model.education.map(e => ({
+      institution: e.institution,
+      studyType: e.degree,
+      startDate: e.startDate || undefined,
+      endDate: e.endDate || undefined
+    })),
+    skills: skillsOf(sections).map(s => ({
+      name: s.name,
+      level: s.level ? s.level[0].toUpperCase() + s.level.slice(1) : undefined
+    })),
+    projects: model.projects.map(p => ({
+      name: p.name,
+      description: p.description || undefined,
+      url: p.links[0] || undefined
+    })),
+    awards: String(sections.achievements || '').split('\n').map(s => s.replace(/^[-•*]\s*/, '').trim()).filter(Boolean).map(title => ({ title })),
+    meta: {
+      generator: 'html_generator',
+      // 0..1 per field, in the same order as work / education / projects above
+      parseConfidence: {
+        work: model.experience.map(e => e.confidence),
+        education: model.education.map(e => e.confidence),
+        projects: model.projects.map(p => p.confidence)
+      }
+    }
+  };
+}
+
+module.exports = { validateJsonResume, fromJsonResume, toJsonResume };
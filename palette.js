@@ -0,0 +1,287 @@
+// palette.js
+// Turns the free-form themeColors string ("white blue", "#000 #ff0", "rgb(20,40,90) gold")
+// into a full palette (primary, accent, background, text, surface + page) and
+// checks it against WCAG AA contrast, nudging colors until they pass.
+//
+// buildPalette() never throws: unrecognized tokens are reported and ignored,
+// missing roles are filled from the theme defaults.
+
+// CSS named colors (CSS Color Module Level 4)
+const NAMED_COLORS = {
+  aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4', azure: 'f0ffff',
+  beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000', blanchedalmond: 'ffebcd', blue: '0000ff',
+  blueviolet: '8a2be2', brown: 'a52a2a', burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00',
+  chocolate: 'd2691e', coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+  cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b', darkgray: 'a9a9a9',
+  darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b', darkmagenta: '8b008b', darkolivegreen: '556b2f',
+  darkorange: 'ff8c00', darkorchid: '9932cc', darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f',
+  darkslateblue: '483d8b', darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1', darkviolet: '9400d3',
+  deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969', dodgerblue: '1e90ff',
+  firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22', fuchsia: 'ff00ff', gainsboro: 'dcdcdc',
+  ghostwhite: 'f8f8ff', gold: 'ffd700', goldenrod: 'daa520', gray: '808080', green: '008000',
+  greenyellow: 'adff2f', grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c',
+  indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa', lavenderblush: 'fff0f5',
+  lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6', lightcoral: 'f08080', lightcyan: 'e0ffff',
+  lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3', lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1',
+  lightsalmon: 'ffa07a', lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899',
+  lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32', linen: 'faf0e6',
+  magenta: 'ff00ff', maroon: '800000', mediumaquamarine: '66cdaa', mediumblue: '0000cd', mediumorchid: 'ba55d3',
+  mediumpurple: '9370db', mediumseagreen: '3cb371', mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc',
+  mediumvioletred: 'c71585', midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+  navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000', olivedrab: '6b8e23',
+  orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6', palegoldenrod: 'eee8aa', palegreen: '98fb98',
+  paleturquoise: 'afeeee', palevioletred: 'db7093', papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f',
+  pink: 'ffc0cb', plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399',
+  red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513', salmon: 'fa8072',
+  sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee', sienna: 'a0522d', silver: 'c0c0c0',
+  skyblue: '87ceeb', slateblue: '6a5acd', slategray: '708090', slategrey: '708090', snow: 'fffafa',
+  springgreen: '00ff7f', steelblue: '4682b4', tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8',
+  tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee', wheat: 'f5deb3', white: 'ffffff',
+  whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32'
+};
+
+// WCAG AA thresholds
+const AA_TEXT = 4.5;
+const AA_LARGE = 3;
+
+// used when the theme does not define a role
+const FALLBACK_COLORS = { primary: '#111111', accent: '#6c5ce7', bg: '#ffffff', text: '#222222', surface: '#f2f3ff', page: '#f6f8fb' };
+
+// ------------------ color parsing ------------------
+function parseColor(token) {
+  const t = String(token || '').trim().toLowerCase();
+  if (!t) return null;
+  // own property only: "constructor" is a word, not a color
+  if (Object.prototype.hasOwnProperty.call(NAMED_COLORS, t)) return hexToRgb(NAMED_COLORS[t]);
+
+  // "#abc" / "#aabbcc" (+ alpha); bare hex only in the 6/8 digit forms so words like "bad" stay words
+  let m = t.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/) || t.match(/^([0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (m) {
+    let h = m[1];
+    if (h.length <= 4) h = h.split('').map(c => c + c).join('');
+    return hexToRgb(h.slice(0, 6)); // alpha is ignored
+  }
+
+  m = t.match(/^rgba?\(\s*([\d.]+%?)[\s,]+([\d.]+%?)[\s,]+([\d.]+%?)(?:[\s,/]+[\d.]+%?)?\s*\)$/);
+  if (m) {
+    const ch = v => v.endsWith('%') ? parseFloat(v) * 2.55 : parseFloat(v);
+    const rgb = [ch(m[1]), ch(m[2]), ch(m[3])].map(v => Math.max(0, Math.min(255, Math.round(v))));
+    return { r: rgb[0], g: rgb[1], b: rgb[2] };
+  }
+  return null;
+}
+
+// split on whitespace/commas but keep rgb(...) groups together
+function tokenizeColors(input) {
+  const tokens = [];
+  const re = /rgba?\([^)]*\)|[^\s,;/]+/gi;
+  let m;
+  while ((m = re.exec(String(input || ''))) !== null) tokens.push(m[0]);
+  return tokens;
+}
+
+function hexToRgb(hex) {
+  const n = parseInt(hex, 16);
+  return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255 };
+}
+
+function rgbToHex({ r, g, b }) {
+  return '#' + [r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+}
+
+function rgbToHsl({ r, g, b }) {
+  r /= 255; g /= 255; b /= 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  if (max === min) return { h: 0, s: 0, l };
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return { h: h * 60, s, l };
+}
+
+function hslToRgb({ h, s, l }) {
+  h = ((h % 360) + 360) % 360 / 360;
+  if (s === 0) return { r: Math.round(l * 255), g: Math.round(l * 255), b: Math.round(l * 255) };
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const hue = t => {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+  return { r: Math.round(hue(h + 1 / 3) * 255), g: Math.round(hue(h) * 255), b: Math.round(hue(h - 1 / 3) * 255) };
+}
+
+// ------------------ WCAG helpers ------------------
+function luminance({ r, g, b }) {
+  const lin = v => {
+    v /= 255;
+    return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  };
+  return 0.2126 * lin(r) + 0.7152 * lin(g) + 0.0722 * lin(b);
+}
+
+function contrastRatio(a, b) {
+  const la = luminance(a);
+  const lb = luminance(b);
+  return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
+
+function mix(a, b, weight) {
+  const ch = k => Math.round(a[k] + (b[k] - a[k]) * weight);
+  return { r: ch('r'), g: ch('g'), b: ch('b') };
+}
+
+// darken/lighten (keeping hue) until `color` reaches `min` contrast against `against`
+function ensureContrast(color, against, min) {
+  if (contrastRatio(color, against) >= min) return color;
+  const hsl = rgbToHsl(color);
+  const dir = luminance(against) > 0.5 ? -1 : 1;
+  for (let step = 1; step <= 50; step++) {
+    const l = Math.max(0, Math.min(1, hsl.l + dir * step * 0.02));
+    const candidate = hslToRgb({ h: hsl.h, s: hsl.s, l });
+    if (contrastRatio(candidate, against) >= min) return candidate;
+    if (l === 0 || l === 1) break;
+  }
+  return dir < 0 ? { r: 0, g: 0, b: 0 } : { r: 255, g: 255, b: 255 };
+}
+
+// near-white / near-black with little saturation -> reads as a background choice
+function isBackgroundish(rgb) {
+  const { s, l } = rgbToHsl(rgb);
+  return (l >= 0.9 || l <= 0.12) && s < 0.35;
+}
+
+// ------------------ palette ------------------
+// defaults: theme colors ({ primary, accent, bg, text, surface, page }) as hex strings
+function buildPalette(themeColors, defaults = {}) {
+  const notes = [];
+  const tokens = tokenizeColors(themeColors);
+  const parsed = [];
+  const unrecognized = [];
+  for (const tok of tokens) {
+    const rgb = parseColor(tok);
+    if (rgb) parsed.push({ input: tok, rgb });
+    else unrecognized.push(tok);
+  }
+  if (unrecognized.length) notes.push(`Ignored unrecognized color value(s): ${unrecognized.join(', ')}.`);
+
+  const def = key => parseColor(defaults[key]) || parseColor(FALLBACK_COLORS[key]);
+
+  // role assignment: with 2+ colors an extreme neutral (white/black) is taken as the background
+  let bg = null;
+  let chromatic = parsed;
+  if (parsed.length >= 2) {
+    const i = parsed.findIndex(p => isBackgroundish(p.rgb));
+    if (i !== -1) {
+      bg = parsed[i];
+      chromatic = parsed.filter((p, j) => j !== i);
+      notes.push(`"${bg.input}" used as background (light/dark neutral).`);
+    }
+  }
+
+  let background = bg ? bg.rgb : def('bg');
+  if (!bg) notes.push(`Background ${rgbToHex(background)} taken from theme.`);
+
+  let primary;
+  if (chromatic[0]) {
+    primary = chromatic[0].rgb;
+    notes.push(`"${chromatic[0].input}" used as primary.`);
+  } else {
+    primary = def('primary');
+    notes.push(`Primary ${rgbToHex(primary)} taken from theme.`);
+  }
+
+  let accent;
+  if (chromatic[1]) {
+    accent = chromatic[1].rgb;
+    notes.push(`"${chromatic[1].input}" used as accent.`);
+  } else if (chromatic[0]) {
+    // derive from primary: analogous hue shift, keep it colorful
+    const hsl = rgbToHsl(primary);
+    accent = hslToRgb({ h: hsl.h + 40, s: Math.max(hsl.s, 0.55), l: Math.min(Math.max(hsl.l, 0.4), 0.6) });
+    notes.push(`Accent ${rgbToHex(accent)} derived from primary (hue +40°).`);
+  } else {
+    accent = def('accent');
+    notes.push(`Accent ${rgbToHex(accent)} taken from theme.`);
+  }
+  if (chromatic.length > 2) notes.push(`Extra color(s) not used: ${chromatic.slice(2).map(c => c.input).join(', ')}.`);
+
+  const darkBg = luminance(background) < 0.18;
+  // text: theme default when it fits the background, otherwise a tinted near-black/near-white
+  let text = bg ? mix(darkBg ? { r: 255, g: 255, b: 255 } : { r: 17, g: 17, b: 17 }, primary, 0.08) : def('text');
+  let surface = mix(background, primary, darkBg ? 0.14 : 0.06);
+  const page = bg ? mix(background, darkBg ? { r: 0, g: 0, b: 0 } : { r: 0, g: 0, b: 40 }, 0.04) : def('page');
+
+  // ---- contrast checks (AA) ----
+  const fix = (label, color, against, min, againstLabel) => {
+    const before = contrastRatio(color, against);
+    if (before >= min) return color;
+    const fixed = ensureContrast(color, against, min);
+    notes.push(`${label} ${rgbToHex(color)} had ${before.toFixed(2)}:1 against ${againstLabel}; adjusted to ${rgbToHex(fixed)} (${contrastRatio(fixed, against).toFixed(2)}:1, AA ${min}:1).`);
+    return fixed;
+  };
+  text = fix('Text', text, background, AA_TEXT, 'background');
+  text = fix('Text', text, surface, AA_TEXT, 'surface');
+  primary = fix('Primary', primary, background, AA_TEXT, 'background');
+  accent = fix('Accent', accent, background, AA_LARGE, 'background');
+  // surface must stay readable under the (possibly adjusted) text
+  if (contrastRatio(text, surface) < AA_TEXT) {
+    surface = background;
+    notes.push('Surface reset to background to keep text readable.');
+  }
+
+  const colors = {
+    primary: rgbToHex(primary),
+    accent: rgbToHex(accent),
+    bg: rgbToHex(background),
+    text: rgbToHex(text),
+    surface: rgbToHex(surface),
+    page: rgbToHex(page)
+  };
+  const ratio = (a, b) => Math.round(contrastRatio(parseColor(a), parseColor(b)) * 100) / 100;
+  const contrast = {
+    textOnBackground: ratio(colors.text, colors.bg),
+    textOnSurface: ratio(colors.text, colors.surface),
+    primaryOnBackground: ratio(colors.primary, colors.bg),
+    accentOnBackground: ratio(colors.accent, colors.bg)
+  };
+  const passesAA = contrast.textOnBackground >= AA_TEXT && contrast.textOnSurface >= AA_TEXT &&
+    contrast.primaryOnBackground >= AA_TEXT && contrast.accentOnBackground >= AA_LARGE;
+
+  return {
+    input: String(themeColors || ''),
+    parsed: parsed.map(p => ({ input: p.input, hex: rgbToHex(p.rgb) })),
+    unrecognized,
+    colors,
+    contrast,
+    passesAA,
+    notes
+  };
+}
+
+// print variant of a resolved palette: paper-white backgrounds, near-black text, and primary/accent
+// darkened where needed so neon/light theme colors stay readable on paper
+function printPalette(colors) {
+  const white = { r: 255, g: 255, b: 255 };
+  const primary = ensureContrast(parseColor(colors.primary) || parseColor(FALLBACK_COLORS.primary), white, AA_TEXT);
+  const accent = ensureContrast(parseColor(colors.accent) || parseColor(FALLBACK_COLORS.accent), white, AA_LARGE);
+  return {
+    primary: rgbToHex(primary),
+    accent: rgbToHex(accent),
+    bg: '#ffffff',
+    text: '#111111',
+    surface: '#ffffff',
+    page: '#ffffff'
+  };
+}
+
+module.exports = { NAMED_COLORS, parseColor, tokenizeColors, contrastRatio, buildPalette, printPalette };
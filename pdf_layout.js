@@ -0,0 +1,192 @@
+// pdf_layout.js
+// Layout-aware text for pdf-parse (used as its `pagerender` hook).
+//
+// pdf-parse's default render joins text items in content-stream order, so two-column CVs
+// come out with the sidebar interleaved line by line with the main column. Here we use item
+// positions and font sizes instead:
+// 1) find a vertical gutter and read each column top-to-bottom (left column first);
+//    text above the point where both columns start (name, intro) comes first, items
+//    crossing the gutter further down come last
+// 2) lines noticeably larger than the body text, or bold/caps lines that name a section,
+//    become "## " headings (same marked-text convention as docx_structure.js)
+// 3) hyphenated line breaks and wrapped bullet lines are merged back together
+
+const BULLET_CHARS = /^[•▪●◦■□➢►‣⁃–-]\s*/;
+
+function median(nums) {
+  if (!nums.length) return 0;
+  const s = nums.slice().sort((a, b) => a - b);
+  return s[Math.floor(s.length / 2)];
+}
+
+function collectItems(textContent, page) {
+  const styles = textContent.styles || {};
+  return (textContent.items || []).filter(it => it.str && it.str.trim()).map(it => {
+    const [a, b, c, d, x, y] = it.transform;
+    const size = Math.hypot(c, d) || Math.hypot(a, b) || it.height || 10;
+    // bold is best-effort: only visible when the font name carries a weight
+    let fontName = it.fontName || '';
+    try {
+      const font = page && page.commonObjs && page.commonObjs.getData ? page.commonObjs.getData(it.fontName) : null;
+      if (font && font.name) fontName += ' ' + font.name;
+    } catch (e) { /* font not loaded for text-only pass */ }
+    const family = styles[it.fontName] ? styles[it.fontName].fontFamily : '';
+    return {
+      str: it.str,
+      x,
+      y,
+      w: it.width || it.str.length * size * 0.5,
+      size,
+      bold: /bold|black|heavy|semibold|demi/i.test(fontName + ' ' + family)
+    };
+  });
+}
+
+// widest mostly-empty vertical band between 20% and 80% of the page with real columns on both sides
+function findGutter(items, pageWidth) {
+  if (items.length < 8) return null;
+  const bins = new Array(Math.ceil(pageWidth) + 1).fill(0);
+  for (const it of items) {
+    for (let x = Math.max(0, Math.floor(it.x)); x <= Math.min(bins.length - 1, Math.ceil(it.x + it.w)); x++) bins[x]++;
+  }
+  const tolerance = Math.max(1, Math.floor(items.length * 0.06));
+  let best = null;
+  let runStart = -1;
+  for (let x = Math.floor(pageWidth * 0.2); x <= Math.ceil(pageWidth * 0.8); x++) {
+    if (bins[x] <= tolerance) {
+      if (runStart === -1) runStart = x;
+    } else if (runStart !== -1) {
+      if (!best || x - runStart > best.end - best.start) best = { start: runStart, end: x };
+      runStart = -1;
+    }
+  }
+  if (runStart !== -1 && (!best || pageWidth * 0.8 - runStart > best.end - best.start)) best = { start: runStart, end: Math.ceil(pageWidth * 0.8) };
+  if (!best || best.end - best.start < 8) return null;
+
+  const mid = (best.start + best.end) / 2;
+  const left = items.filter(it => it.x + it.w <= mid);
+  const right = items.filter(it => it.x >= mid);
+  if (left.length < 4 || right.length < 4) return null;
+
+  // a right-aligned date column is not a text column: real columns share a left edge
+  const leftAligned = side => {
+    const xs = side.map(it => Math.round(it.x / 3));
+    const counts = {};
+    for (const v of xs) counts[v] = (counts[v] || 0) + 1;
+    return Math.max(...Object.values(counts)) / side.length;
+  };
+  if (leftAligned(left) < 0.35 || leftAligned(right) < 0.35) return null;
+
+  // both columns must overlap vertically, otherwise it is a stacked layout
+  const span = side => [Math.min(...side.map(i => i.y)), Math.max(...side.map(i => i.y))];
+  const [l0, l1] = span(left);
+  const [r0, r1] = span(right);
+  if (Math.min(l1, r1) - Math.max(l0, r0) <= 0) return null;
+  return { start: best.start, end: best.end, mid };
+}
+
+// items -> lines (top to bottom), joining items that share a baseline
+function buildLines(items) {
+  const sorted = items.slice().sort((a, b) => (b.y - a.y) || (a.x - b.x));
+  const lines = [];
+  for (const it of sorted) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - it.y) <= Math.max(line.size, it.size) * 0.4) line.items.push(it);
+    else lines.push({ y: it.y, size: it.size, items: [it] });
+  }
+  return lines.map(l => {
+    const parts = l.items.sort((a, b) => a.x - b.x);
+    let text = '';
+    let prevEnd = null;
+    for (const p of parts) {
+      const gap = prevEnd === null ? 0 : p.x - prevEnd;
+      if (text && gap > p.size * 0.15 && !/\s$/.test(text) && !/^\s/.test(p.str)) text += ' ';
+      text += p.str;
+      prevEnd = p.x + p.w;
+    }
+    const chars = parts.reduce((n, p) => n + p.str.trim().length, 0);
+    return {
+      text: text.replace(/\s+/g, ' ').trim(),
+      x: parts[0].x,
+      y: l.y,
+      size: Math.max(...parts.map(p => p.size)),
+      bold: chars > 0 && parts.filter(p => p.bold).reduce((n, p) => n + p.str.trim().length, 0) === chars
+    };
+  }).filter(l => l.text);
+}
+
+// lines of one column -> marked text lines
+function markLines(lines, bodySize, isHeadingText) {
+  const out = [];
+  let prev = null;
+  for (const line of lines) {
+    let text = line.text;
+    const words = text.split(/\s+/).length;
+    const isBullet = BULLET_CHARS.test(text) && text.replace(BULLET_CHARS, '').length > 0;
+    const named = !isHeadingText || isHeadingText(text);
+    const isHeading = !isBullet && words <= 8 && (
+      line.size >= bodySize * 1.15 ||
+      (line.bold && named) ||
+      (text === text.toUpperCase() && /[A-Z]/.test(text) && words <= 4 && named)
+    );
+
+    if (isHeading) {
+      out.push('## ' + text);
+      prev = null;
+      continue;
+    }
+    if (isBullet) text = '- ' + text.replace(BULLET_CHARS, '');
+
+    const close = prev && prev.y - line.y <= Math.max(prev.size, line.size) * 1.8;
+    if (prev && close && !isBullet && /[A-Za-z]-$/.test(out[out.length - 1]) && /^[a-z]/.test(text)) {
+      // "micro-" + "services" -> "microservices"
+      out[out.length - 1] = out[out.length - 1].slice(0, -1) + text;
+    } else if (prev && close && !isBullet && prev.bullet && (/^[a-z(]/.test(text) || line.x > prev.x + 2)) {
+      // wrapped bullet text
+      out[out.length - 1] += ' ' + text;
+    } else {
+      out.push(text);
+      prev = { y: line.y, size: line.size, x: line.x, bullet: isBullet };
+      continue;
+    }
+    prev = { y: line.y, size: line.size, x: prev.x, bullet: prev.bullet };
+  }
+  return out;
+}
+
+function layoutPageText(items, pageWidth, { isHeadingText } = {}) {
+  if (!items.length) return '';
+  const bodySize = median(items.flatMap(it => new Array(Math.max(1, it.str.trim().length)).fill(Math.round(it.size * 10) / 10)));
+  const gutter = findGutter(items, pageWidth);
+  if (!gutter) return markLines(buildLines(items), bodySize, isHeadingText).join('\n');
+
+  // the column region starts where both columns have text; anything above it is the page header
+  const crosses = it => it.x < gutter.mid && it.x + it.w > gutter.mid;
+  const maxY = side => Math.max(...side.map(it => it.y));
+  const top = Math.min(maxY(items.filter(it => !crosses(it) && it.x < gutter.mid)), maxY(items.filter(it => it.x >= gutter.mid)));
+  const header = items.filter(it => it.y > top + 0.5);
+  const body = items.filter(it => it.y <= top + 0.5);
+
+  return [
+    header,
+    body.filter(it => !crosses(it) && it.x < gutter.mid),
+    body.filter(it => it.x >= gutter.mid),
+    body.filter(crosses)
+  ].filter(g => g.length).map(g => markLines(buildLines(g), bodySize, isHeadingText).join('\n')).join('\n');
+}
+
+// pdf-parse pagerender hook; falls back to plain item order if anything goes wrong
+function makePageRenderer(opts = {}) {
+  return async function renderPage(pageData) {
+    const textContent = await pageData.getTextContent({ normalizeWhitespace: true, disableCombineTextItems: false });
+    try {
+      const view = pageData.view || [0, 0, 612, 792];
+      return layoutPageText(collectItems(textContent, pageData), view[2] - view[0], opts);
+    } catch (err) {
+      console.warn('pdf layout failed, using plain text order:', err && (err.message || err));
+      return textContent.items.map(it => it.str).join('\n');
+    }
+  };
+}
+
+module.exports = { makePageRenderer, layoutPageText, findGutter, buildLines };
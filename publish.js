@@ -0,0 +1,261 @@
+// publish.js
+// Generate the CV site on a running server and publish it (GitHub, a local git repo or a directory).
+//
+// Usage:
+//   node publish.js --input cv.pdf --theme photographer --colors "white blue" \
+//     --backend github --repo owner/name --branch main --path index.html
+//   node publish.js --config publish.json --dry-run
+//
+// Options (CLI flags override the config file; see DEFAULTS for the config keys):
+//   --config file.json          config file (default: ./publish.json when it exists)
+//   --endpoint url              generator server (default http://localhost:3000)
+//   --input file                CV file (.pdf/.docx/.txt/...) or a JSON Resume document (.json)
+//   --source-url url            chat share link (DeepSeek / ChatGPT) or web page instead of --input
+//   --version cvId/versionId    publish a version stored on the server (rollback) instead of generating
+//   --theme name --colors "..." --no-professional --language code
+//   --format html|markdown|text|print  --paper a4|letter     single-file output
+//   --bundle site [--site-url url]     static site bundle (pages, stylesheet, sitemap, ...) instead
+//   --backend github|git|dir    where to publish (see publishers.js)
+//   --repo owner/name           github backend
+//   --dir path                  git / dir backends: local repository or directory
+//   --branch name               github / git backends
+//   --path p                    target file (single file) or directory prefix (bundle)
+//   --message "..."             commit message
+//   --push                      git backend: push after committing
+//   --dry-run                   show the diff against the published files, change nothing
+//
+// The GitHub token is read from GITHUB_TOKEN only. Files identical to the published ones are
+// left out of the commit, and nothing is committed when no file changed.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch'); // v2
+const JSZip = require('jszip');
+const { createPublisher } = require('./publishers');
+const { unifiedDiff } = require('./text_diff');
+
+const DEFAULTS = {
+  endpoint: process.env.GENERATE_ENDPOINT || 'http://localhost:3000',
+  input: '',
+  sourceUrl: '',
+  version: '',
+  themeType: 'modern',
+  themeColors: 'black',
+  professional: true,
+  language: 'auto',
+  format: 'html',
+  paper: 'a4',
+  bundle: '',
+  siteUrl: '',
+  message: 'Update generated CV website',
+  dryRun: false,
+  target: { backend: 'github', repo: '', branch: '', dir: '', path: '', push: false }
+};
+
+// flag -> [config key, kind]; target.* keys live under "target" in the config file
+const FLAGS = {
+  '--config': ['config', 'string'],
+  '--endpoint': ['endpoint', 'string'],
+  '--input': ['input', 'string'],
+  '--source-url': ['sourceUrl', 'string'],
+  '--version': ['version', 'string'],
+  '--theme': ['themeType', 'string'],
+  '--colors': ['themeColors', 'string'],
+  '--professional': ['professional', true],
+  '--no-professional': ['professional', false],
+  '--language': ['language', 'string'],
+  '--format': ['format', 'string'],
+  '--paper': ['paper', 'string'],
+  '--bundle': ['bundle', 'string'],
+  '--site-url': ['siteUrl', 'string'],
+  '--message': ['message', 'string'],
+  '--dry-run': ['dryRun', true],
+  '--backend': ['target.backend', 'string'],
+  '--repo': ['target.repo', 'string'],
+  '--branch': ['target.branch', 'string'],
+  '--dir': ['target.dir', 'string'],
+  '--path': ['target.path', 'string'],
+  '--push': ['target.push', true]
+};
+
+const TEXT_EXT = ['.html', '.htm', '.css', '.js', '.json', '.md', '.txt', '.xml', '.svg', '.vcf'];
+
+function usage() {
+  const header = fs.readFileSync(__filename, 'utf8').split('\n\n')[0];
+  return header.split('\n').map(l => l.replace(/^\/\/ ?/, '')).join('\n');
+}
+
+function parseArgs(argv) {
+  const out = { target: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') return { help: true };
+    const [flag, inline] = arg.split(/=(.*)/s);
+    const spec = FLAGS[flag];
+    if (!spec) throw new Error(`Unknown option ${arg} (see --help)`);
+    let value = spec[1];
+    if (value === 'string') {
+      value = inline !== undefined ? inline : argv[++i];
+      if (value === undefined) throw new Error(`${flag} needs a value`);
+    }
+    const [key, sub] = spec[0].split('.');
+    if (sub) out.target[sub] = value;
+    else out[key] = value;
+  }
+  return out;
+}
+
+// defaults < config file < CLI; relative paths in the config file are relative to that file
+function loadOptions(cli) {
+  let configPath = cli.config || '';
+  if (!configPath && fs.existsSync('publish.json')) configPath = 'publish.json';
+  let config = { target: {} };
+  if (configPath) {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const base = path.dirname(path.resolve(configPath));
+    if (config.input) config.input = path.resolve(base, config.input);
+    config.target = Object.assign({}, config.target);
+    if (config.target.dir) config.target.dir = path.resolve(base, config.target.dir);
+    if (config.token || config.target.token) throw new Error(`${configPath}: tokens do not belong in config files; set GITHUB_TOKEN instead.`);
+  }
+  const cliTarget = cli.target;
+  const opts = Object.assign({}, DEFAULTS, config, cli);
+  opts.target = Object.assign({}, DEFAULTS.target, config.target, cliTarget);
+  if (!opts.input && !opts.sourceUrl && !opts.version) throw new Error('Give --input <file>, --source-url <url> or --version <cvId/versionId> (or set them in the config file).');
+  if (opts.version && !/^[^/]+\/[^/]+$/.test(opts.version)) throw new Error('--version must look like <cvId>/<versionId> (see GET /history/<cvId>).');
+  if (opts.bundle && opts.bundle !== 'site') throw new Error(`Unknown bundle "${opts.bundle}" (only "site" is available).`);
+  return opts;
+}
+
+// ------------------ generator server ------------------
+async function postJson(url, payload) {
+  const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
+  if (!res.ok) {
+    const body = await res.text();
+    let message = body;
+    try {
+      message = JSON.parse(body).error || body;
+    } catch (e) {
+      // not JSON: keep the text
+    }
+    throw new Error(`${url} failed (${res.status}): ${message}`);
+  }
+  return res;
+}
+
+// node-fetch v2 has no FormData; one file field is easy to encode by hand
+async function uploadCv(endpoint, filePath) {
+  const boundary = '----cvpublish' + crypto.randomBytes(12).toString('hex');
+  const head = `--${boundary}\r\nContent-Disposition: form-data; name="cv"; filename="${path.basename(filePath).replace(/["\r\n]/g, '_')}"\r\n`
+    + 'Content-Type: application/octet-stream\r\n\r\n';
+  const body = Buffer.concat([Buffer.from(head), fs.readFileSync(filePath), Buffer.from(`\r\n--${boundary}--\r\n`)]);
+  const res = await fetch(endpoint + '/upload-cv', { method: 'POST', headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` }, body });
+  const j = await res.json().catch(() => null);
+  if (!j || !j.ok) throw new Error('Upload failed: ' + ((j && j.error) || res.status));
+  return j.uploadId;
+}
+
+// -> [{ path, data: Buffer }] relative to target.path
+async function generateFiles(opts) {
+  const endpoint = opts.endpoint.replace(/\/$/, '');
+  if (opts.version) {
+    const res = await fetch(`${endpoint}/history/${opts.version}`);
+    const j = await res.json().catch(() => null);
+    if (!j || !j.ok) throw new Error(`Version ${opts.version}: ${(j && j.error) || res.status}`);
+    return [{ path: j.version.output.filename, data: Buffer.from(j.version.output.content, 'utf8') }];
+  }
+  const payload = {
+    sourceUrl: opts.sourceUrl,
+    themeType: opts.themeType,
+    themeColors: opts.themeColors,
+    professional: opts.professional,
+    language: opts.language
+  };
+  if (opts.input) {
+    if (!fs.existsSync(opts.input)) throw new Error(`Input file not found: ${opts.input}`);
+    if (path.extname(opts.input).toLowerCase() === '.json') payload.jsonResume = JSON.parse(fs.readFileSync(opts.input, 'utf8'));
+    else payload.uploadId = await uploadCv(endpoint, opts.input);
+  }
+
+  if (opts.bundle === 'site') {
+    const res = await postJson(endpoint + '/export-site', Object.assign(payload, { siteUrl: opts.siteUrl }));
+    const zip = await JSZip.loadAsync(await res.buffer());
+    const files = [];
+    for (const name of Object.keys(zip.files).sort()) {
+      if (!zip.files[name].dir) files.push({ path: name, data: await zip.files[name].async('nodebuffer') });
+    }
+    return files;
+  }
+
+  const res = await postJson(endpoint + '/generate', Object.assign(payload, { format: opts.format, paper: opts.paper }));
+  const j = await res.json();
+  if (!j || !j.ok || typeof j.content !== 'string') throw new Error('Generate response not valid: ' + JSON.stringify(j).slice(0, 300));
+  return [{ path: j.filename, data: Buffer.from(j.content, 'utf8') }];
+}
+
+// single file: target.path is the file (default: the server's filename); bundle: a directory prefix
+function targetPath(opts, file) {
+  const p = String(opts.target.path || '').replace(/^\/+/, '');
+  if (!opts.bundle || opts.version) return p || file.path;
+  return p ? path.posix.join(p, file.path) : file.path;
+}
+
+function describeChange(relPath, published, data) {
+  if (!published) return `new       ${relPath} (${data.length} bytes)`;
+  return published.equals(data) ? `unchanged ${relPath}` : `changed   ${relPath}`;
+}
+
+async function publish(opts, log = console.log) {
+  const publisher = createPublisher(opts.target);
+  if (opts.version) log(`Fetching stored version ${opts.version} from ${opts.endpoint}`);
+  else log(`Generating ${opts.bundle ? 'site bundle' : opts.format} from ${opts.input || opts.sourceUrl} via ${opts.endpoint}`);
+  const generated = await generateFiles(opts);
+
+  const changed = {};
+  for (const file of generated) {
+    const relPath = targetPath(opts, file);
+    const published = await publisher.read(relPath);
+    log(describeChange(relPath, published, file.data));
+    if (published && published.equals(file.data)) continue;
+    changed[relPath] = file.data;
+    if (opts.dryRun) {
+      if (TEXT_EXT.includes(path.extname(relPath).toLowerCase())) {
+        log(unifiedDiff(published ? published.toString('utf8') : '', file.data.toString('utf8'), {
+          fromLabel: published ? `published/${relPath}` : '/dev/null',
+          toLabel: `generated/${relPath}`
+        }).trimEnd());
+      } else {
+        log(`  binary file, ${published ? published.length + ' -> ' : ''}${file.data.length} bytes`);
+      }
+    }
+  }
+
+  const count = Object.keys(changed).length;
+  if (!count) {
+    log(`Nothing changed on ${publisher.describe()}; skipping commit.`);
+    return { changed: [], commit: '' };
+  }
+  if (opts.dryRun) {
+    log(`Dry run: ${count} file(s) would be published to ${publisher.describe()}.`);
+    return { changed: Object.keys(changed), commit: '' };
+  }
+  const result = await publisher.write(changed, opts.message);
+  log(`Published ${count} file(s) to ${publisher.describe()}${result.commit ? ' in ' + result.commit.slice(0, 12) : ''}${result.url ? ' ' + result.url : ''}`);
+  return { changed: Object.keys(changed), commit: result.commit };
+}
+
+if (require.main === module) {
+  (async () => {
+    try {
+      const cli = parseArgs(process.argv.slice(2));
+      if (cli.help) return console.log(usage());
+      await publish(loadOptions(cli));
+    } catch (err) {
+      console.error('Error:', err && (err.message || err));
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { parseArgs, loadOptions, generateFiles, publish };
@@ -0,0 +1,163 @@
+// publishers.js
+// Where `node publish.js` puts the generated files. createPublisher(target) returns {
+//   describe()                      target as text ("github owner/repo@main", "git ../site@gh-pages", ...)
+//   read(relPath) -> Buffer|null    the currently published file (null when it does not exist yet)
+//   write(files, message)           files: { relPath: Buffer }; one commit for all of them
+//                                   -> { commit, url } (commit/url are '' where they do not apply)
+// }
+//
+// Backends (target.backend):
+//   github  GitHub git data API via @octokit/rest; token from the GITHUB_TOKEN env var only
+//           target: { repo: 'owner/name', branch: 'main' }
+//   git     local git repository; files are written into the work tree and committed (with your
+//           git identity) on the checked-out branch, which must be target.branch when given.
+//           target: { dir, branch, push, remote }
+//   dir     plain directory, no commit (local previews, rsync/FTP deploys). target: { dir }
+//
+// relPath is always relative to the repository / directory root and may not leave it.
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const COMMITTER = { name: 'HTML Generator', email: 'noreply@example.com' };
+
+function checkRelPath(relPath) {
+  const p = String(relPath || '').replace(/\\/g, '/');
+  if (!p || p.startsWith('/') || p.split('/').includes('..')) throw new Error(`Invalid target path "${relPath}"`);
+  return p;
+}
+
+// ------------------ github ------------------
+function githubPublisher(target) {
+  const token = process.env.GITHUB_TOKEN;
+  if (!token) throw new Error('Set GITHUB_TOKEN in the environment to publish to GitHub (tokens are never read from config files).');
+  const [owner, repo] = String(target.repo || '').split('/');
+  if (!owner || !repo) throw new Error('target.repo must be "owner/name" for the github backend.');
+  const branch = target.branch || 'main';
+  const { Octokit } = require('@octokit/rest');
+  const octokit = new Octokit({ auth: token });
+
+  return {
+    describe: () => `github ${owner}/${repo}@${branch}`,
+    async read(relPath) {
+      try {
+        const r = await octokit.repos.getContent({ owner, repo, path: checkRelPath(relPath), ref: branch });
+        if (Array.isArray(r.data)) throw new Error(`${relPath} is a directory in ${owner}/${repo}`);
+        // files over 1 MB come back without content; fetch the blob instead
+        if (r.data.content) return Buffer.from(r.data.content, 'base64');
+        const blob = await octokit.git.getBlob({ owner, repo, file_sha: r.data.sha });
+        return Buffer.from(blob.data.content, 'base64');
+      } catch (e) {
+        if (e.status === 404) return null;
+        throw e;
+      }
+    },
+    // git data API rather than createOrUpdateFileContents: a bundle lands as a single commit
+    async write(files, message) {
+      const ref = await octokit.git.getRef({ owner, repo, ref: `heads/${branch}` });
+      const parent = await octokit.git.getCommit({ owner, repo, commit_sha: ref.data.object.sha });
+      const tree = [];
+      for (const relPath of Object.keys(files)) {
+        const blob = await octokit.git.createBlob({ owner, repo, content: files[relPath].toString('base64'), encoding: 'base64' });
+        tree.push({ path: checkRelPath(relPath), mode: '100644', type: 'blob', sha: blob.data.sha });
+      }
+      const newTree = await octokit.git.createTree({ owner, repo, base_tree: parent.data.tree.sha, tree });
+      const commit = await octokit.git.createCommit({
+        owner,
+        repo,
+        message,
+        tree: newTree.data.sha,
+        parents: [parent.data.sha],
+        author: COMMITTER,
+        committer: COMMITTER
+      });
+      await octokit.git.updateRef({ owner, repo, ref: `heads/${branch}`, sha: commit.data.sha });
+      return { commit: commit.data.sha, url: commit.data.html_url || '' };
+    }
+  };
+}
+
+// ------------------ local directory / git ------------------
+function resolveInside(root, relPath) {
+  const full = path.resolve(root, checkRelPath(relPath));
+  if (full !== root && !full.startsWith(root + path.sep)) throw new Error(`Target path "${relPath}" leaves ${root}`);
+  return full;
+}
+
+function writeFiles(root, files) {
+  for (const relPath of Object.keys(files)) {
+    const full = resolveInside(root, relPath);
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(full, files[relPath]);
+  }
+}
+
+function dirPublisher(target) {
+  if (!target.dir) throw new Error('target.dir is required for the dir backend.');
+  const root = path.resolve(target.dir);
+  return {
+    describe: () => `dir ${root}`,
+    async read(relPath) {
+      const full = resolveInside(root, relPath);
+      return fs.existsSync(full) ? fs.readFileSync(full) : null;
+    },
+    async write(files) {
+      writeFiles(root, files);
+      return { commit: '', url: '' };
+    }
+  };
+}
+
+function gitPublisher(target) {
+  if (!target.dir) throw new Error('target.dir (the local repository) is required for the git backend.');
+  const root = path.resolve(target.dir);
+  const git = (args, opts = {}) => execFileSync('git', args, Object.assign({ cwd: root, stdio: ['ignore', 'pipe', 'pipe'] }, opts));
+  try {
+    git(['rev-parse', '--is-inside-work-tree']);
+  } catch (e) {
+    throw new Error(`${root} is not a git repository (use the dir backend for a plain directory).`);
+  }
+  let current = '';
+  try {
+    current = git(['symbolic-ref', '--short', 'HEAD']).toString().trim();
+  } catch (e) {
+    throw new Error(`${root} has a detached HEAD; check out the branch to publish to.`);
+  }
+  const branch = target.branch || current;
+
+  return {
+    describe: () => `git ${root}@${branch}`,
+    // the committed version on the branch, not the work tree: that is what is published
+    async read(relPath) {
+      try {
+        // "./" keeps the path relative to dir when dir is a subdirectory of the repository
+        return git(['show', `${branch}:./${checkRelPath(relPath)}`], { maxBuffer: 64 * 1024 * 1024 });
+      } catch (e) {
+        return null;
+      }
+    },
+    async write(files, message) {
+      if (branch !== current) throw new Error(`${root} is on branch "${current}"; check out "${branch}" first.`);
+      writeFiles(root, files);
+      const paths = Object.keys(files).map(checkRelPath);
+      git(['add', '--', ...paths]);
+      // only these paths, even if other changes are staged
+      git(['commit', '-q', '-m', message, '--', ...paths]);
+      const commit = git(['rev-parse', 'HEAD']).toString().trim();
+      if (target.push) git(['push', target.remote || 'origin', branch]);
+      return { commit, url: '' };
+    }
+  };
+}
+
+const BACKENDS = { github: githubPublisher, git: gitPublisher, dir: dirPublisher };
+
+function createPublisher(target = {}) {
+  // own property only: "constructor" / "toString" from a config file are not backends
+  const make = Object.prototype.hasOwnProperty.call(BACKENDS, target.backend) ? BACKENDS[target.backend] : null;
+  if (!make) throw new Error(`Unknown backend "${target.backend}". Use one of: ${Object.keys(BACKENDS).join(', ')}.`);
+  return make(target);
+}
+
+module.exports = { BACKENDS, createPublisher };
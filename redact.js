@@ -0,0 +1,195 @@
+// redact.js
+// Privacy redaction for CVs shared with clients before an introduction: contact details and
+// identity numbers are masked in every text field (text blocks, structured model, contacts), and
+// the anonymized mode also replaces the name with a candidate reference code.
+//
+// redactSections(sections, { anonymize, reference, mask }) -> { sections, report }
+//   mask       replacement text ("[redacted]"; i18n ui.redacted of the output language)
+//   reference  candidate reference code used for the name when anonymize is set
+//   report     { anonymized, reference, counts: { email: 1, ... }, items: [{ kind, preview, fields }] }
+//              one item per distinct value; preview keeps only its first and last two characters
+//              ("+6…78") so the report shows what was caught without repeating it
+// Kinds: email, phone, address, dateOfBirth, age, idNumber; anonymized mode adds name and link
+// (LinkedIn / GitHub / personal site URLs identify the candidate as well as the name does).
+//
+// newReference() -> "CAND-7F3A2C"; random, so the caller stores it to keep re-renders stable.
+
+const crypto = require('crypto');
+const { EMAIL_RE, URL_RE, PHONE_RE, PHONE_LABEL_RE, classifyUrl, normalizeUrl, isPhone } = require('./contacts');
+
+const REFERENCE_RE = /^[A-Za-z0-9][A-Za-z0-9 _.-]{0,31}$/;
+
+// Malaysian MyKad (YYMMDD-PB-###G) anywhere; other IC / passport numbers only behind a label
+const MYKAD_RE = /\b\d{6}-\d{2}-\d{4}\b/g;
+const ID_LABEL_RE = /\b(?:NRIC|I\/?C|MyKad|No\.?\s*K\/?P|Kad Pengenalan|Identity Card|Passport|Pasport)(?:\s*(?:No|Number|Nombor)\.?)?\s*[:.#-]?\s*([A-Z]{1,2}\d{6,9}|\d[\d -]{5,14}\d)\b/gi;
+
+const DATE = '(?:\\d{1,2}[/.-]\\d{1,2}[/.-](?:19|20)?\\d{2}|(?:19|20)\\d{2}-\\d{2}-\\d{2}|\\d{1,2}(?:st|nd|rd|th)?\\s+[A-Za-z]{3,9}\\.?,?\\s+(?:19|20)\\d{2}|[A-Za-z]{3,9}\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+(?:19|20)\\d{2})';
+const DOB_RE = new RegExp(`\\b(?:date of birth|birth\\s?date|D\\.?O\\.?B\\.?|born(?: on)?|tarikh lahir|T\\.?\\s?Lahir)\\s*[:.-]?\\s*(${DATE})`, 'gi');
+const AGE_RE = /\b(?:age|umur|usia)\s*[:.-]?\s*(\d{2})(?:\s*(?:years?(?: old)?|tahun))?\b/gi;
+
+// labelled address lines, plus unlabelled street addresses (Malaysian and English forms) to the end of the segment
+const ADDRESS_LABEL_RE = /\b(?:home address|residential address|mailing address|address|alamat rumah|alamat)\s*[:.-]\s*([^\n|•·]{5,})/gi;
+const MY_STREET_RE = /\b(?:No\.?\s*)?\d{1,5}[A-Za-z]?(?:[-/]\d{1,4}[A-Za-z]?)*,?\s+(?:Jalan|Jln\.?|Lorong|Lrg\.?|Persiaran|Lebuh|Taman|Tmn\.?|Kampung|Kg\.?|Blok|Block)\s[^\n|•·]*/gi;
+const EN_STREET_RE = /\b\d{1,5}[A-Za-z]?\s+(?:[A-Z][\w.'-]*\s+){1,4}(?:Street|St|Road|Rd|Avenue|Ave|Lane|Ln|Drive|Dr|Boulevard|Blvd|Way|Court|Ct|Place|Pl|Crescent|Close)\b\.?[^\n|•·]*/g;
+
+// name particles that would otherwise be masked on their own ("bin", "a/l", ...)
+const NAME_PARTICLES = new Set(['bin', 'binti', 'bte', 'bt', 'a/l', 'a/p', 'al', 'el', 'van', 'von', 'de', 'da', 'der', 'mr', 'ms', 'mrs', 'dr']);
+// name parts that are also months or everyday words: masked only as part of the full name, so
+// "May 2020" or "I will mark the report" survive for "Jane May Doe" / "Will Mark"
+const COMMON_NAME_WORDS = new Set([
+  'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december',
+  'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec', 'mac', 'mei', 'julai', 'ogos', 'disember',
+  'will', 'mark', 'bill', 'grace', 'hope', 'faith', 'joy', 'rose', 'dawn', 'summer', 'autumn', 'art', 'frank', 'guy', 'jack',
+  'ray', 'rich', 'rob', 'sue', 'pat', 'penny', 'sandy', 'young', 'long', 'king', 'green', 'brown', 'white', 'black', 'gray', 'grey',
+  'hill', 'wood', 'stone', 'park', 'bell', 'cook', 'baker', 'page', 'price', 'early', 'best', 'new', 'love', 'star', 'sky', 'ward'
+]);
+
+function newReference() {
+  return 'CAND-' + crypto.randomBytes(3).toString('hex').toUpperCase();
+}
+
+function isValidReference(ref) {
+  return typeof ref === 'string' && REFERENCE_RE.test(ref);
+}
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function preview(value) {
+  const v = String(value).trim();
+  return v.length <= 6 ? v.slice(0, 1) + '…' : v.slice(0, 2) + '…' + v.slice(-2);
+}
+
+// replace group 1 of each match (the value after a label) and keep the label
+function maskGroup(text, re, hit, accept = () => true) {
+  return text.replace(re, (m, value) => (value && accept(value) ? m.replace(value, hit(value)) : m));
+}
+
+// [{ kind, run(text, hit) }] in order: identity numbers and dates before phones (both are digit runs)
+function detectors({ anonymize, name, personalUrls }) {
+  const list = [
+    { kind: 'idNumber', run: (t, hit) => maskGroup(t, ID_LABEL_RE, hit).replace(MYKAD_RE, hit) },
+    { kind: 'dateOfBirth', run: (t, hit) => maskGroup(t, DOB_RE, hit) },
+    { kind: 'age', run: (t, hit) => maskGroup(t, AGE_RE, hit) },
+    { kind: 'email', run: (t, hit) => t.replace(EMAIL_RE, hit) },
+    { kind: 'address', run: (t, hit) => maskGroup(t, ADDRESS_LABEL_RE, v => hit(v.trim()) + (/\s$/.test(v) ? ' ' : '')).replace(MY_STREET_RE, m => hit(m.trim())).replace(EN_STREET_RE, m => hit(m.trim())) },
+    {
+      kind: 'phone',
+      run: (t, hit) => maskGroup(t, PHONE_LABEL_RE, hit, isPhone).replace(PHONE_RE, m => (isPhone(m) ? hit(m) : m))
+    }
+  ];
+  if (!anonymize) return list;
+
+  list.push({
+    kind: 'link',
+    run: (t, hit) => t.replace(URL_RE, m => {
+      const url = normalizeUrl(m);
+      const link = classifyUrl(url);
+      const personal = /(^|\.)(linkedin|github)\.com$/i.test(hostOf(url)) || (link && personalUrls.has(link.url.toLowerCase()));
+      return personal ? hit(m) : m;
+    })
+  });
+  // full name first, in any case and spacing ("JANE DOE", "jane  doe"); then each distinctive part
+  // on its own, as a capitalised word only ("Jane leads teams", not "jane" inside an address).
+  // Particles and common words are never masked alone; a name made only of common words
+  // ("Will Mark") is matched capitalised only, so "I will mark the report" stays as it is.
+  const words = String(name || '').split(/\s+/).filter(Boolean);
+  const capitalised = w => (w === w.toLowerCase() || w === w.toUpperCase() ? w[0].toUpperCase() + w.slice(1).toLowerCase() : w);
+  const distinctive = [...new Set(words.filter(w => w.length >= 2 && !NAME_PARTICLES.has(w.toLowerCase()) && !COMMON_NAME_WORDS.has(w.toLowerCase())))];
+  const bounded = (alternatives, flags) => new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, flags);
+  const patterns = [];
+  if (words.length > 1) {
+    const full = forms => forms.map(ws => ws.map(escapeRe).join('\\s+'));
+    patterns.push(distinctive.length
+      ? bounded(full([words]), 'giu')
+      : bounded(full([words.map(capitalised), words.map(w => w.toUpperCase())]), 'gu'));
+  }
+  if (distinctive.length) {
+    patterns.push(bounded(distinctive.map(capitalised).sort((a, b) => b.length - a.length).map(escapeRe), 'gu'));
+  }
+  if (patterns.length) {
+    list.push({ kind: 'name', run: (t, hit) => patterns.reduce((out, re) => out.replace(re, hit), t), replaceWithReference: true });
+  }
+  return list;
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+// structured-model keys that never hold personal text
+const SKIP_KEYS = new Set(['confidence', 'startDate', 'endDate', 'current', 'kind', 'category', 'level', 'years', 'matched']);
+
+function redactSections(sections, { anonymize = false, reference = '', mask = '[redacted]' } = {}) {
+  const contacts = sections.contacts || { emails: [], phones: [], links: [], location: '' };
+  const personalUrls = new Set(contacts.links.map(l => l.url.toLowerCase()));
+  const found = new Map();
+  const list = detectors({ anonymize, name: sections.name, personalUrls });
+
+  const addHit = (kind, value, field) => {
+    // "linkedin.com/in/x" in the text and "https://linkedin.com/in/x" in contacts are one link,
+    // "JANE DOE" and "Jane\n Doe" one name
+    const key = kind + '\u0000' + (kind === 'link' ? normalizeUrl(value).replace(/\/$/, '') : value.replace(/\s+/g, ' ')).toLowerCase();
+    const item = found.get(key) || { kind, preview: preview(value), fields: [] };
+    if (!item.fields.includes(field)) item.fields.push(field);
+    found.set(key, item);
+  };
+  const redactText = (text, field) => {
+    let out = String(text);
+    for (const d of list) {
+      out = d.run(out, value => {
+        addHit(d.kind, value, field);
+        return d.replaceWithReference ? reference : mask;
+      });
+    }
+    return out;
+  };
+  const walk = (value, field) => {
+    if (typeof value === 'string') return redactText(value, field);
+    if (Array.isArray(value)) return value.map((v, i) => walk(v, `${field}[${i}]`));
+    if (value && typeof value === 'object') {
+      const out = {};
+      for (const k of Object.keys(value)) out[k] = SKIP_KEYS.has(k) ? value[k] : walk(value[k], `${field}.${k}`);
+      return out;
+    }
+    return value;
+  };
+
+  const out = Object.assign({}, sections);
+  for (const key of ['raw', 'label', 'summary', 'experience', 'education', 'skills', 'projects', 'achievements', 'contact']) {
+    if (typeof sections[key] === 'string') out[key] = redactText(sections[key], key);
+  }
+  if (sections.structured) out.structured = walk(sections.structured, 'structured');
+
+  // contact lists: every email / phone goes (the text above already recorded most of them);
+  // links only in anonymized mode; the location stays unless it is a street address
+  const dropAll = (kind, values, field) => values.forEach((v, i) => {
+    if (redactText(v, `${field}[${i}]`) === v) addHit(kind, v, `${field}[${i}]`);
+  });
+  dropAll('email', contacts.emails, 'contacts.emails');
+  dropAll('phone', contacts.phones, 'contacts.phones');
+  if (anonymize) dropAll('link', contacts.links.map(l => l.url), 'contacts.links');
+  out.contacts = {
+    emails: [],
+    phones: [],
+    links: anonymize ? [] : contacts.links,
+    location: contacts.location && redactText(contacts.location, 'contacts.location') !== contacts.location ? '' : contacts.location
+  };
+
+  if (anonymize) {
+    out.name = reference;
+    if (sections.name) addHit('name', sections.name, 'name');
+  }
+
+  const items = [...found.values()];
+  const counts = {};
+  for (const item of items) counts[item.kind] = (counts[item.kind] || 0) + 1;
+  return { sections: out, report: { anonymized: !!anonymize, reference: anonymize ? reference : '', counts, items } };
+}
+
+module.exports = { newReference, isValidReference, redactSections };
@@ -0,0 +1,111 @@
+// seo.js
+// Search engine / link preview metadata for generated pages, built from the parsed sections:
+// meta description, canonical link, OpenGraph + Twitter card tags and schema.org Person JSON-LD.
+//
+// seoHead(sections, { title, canonicalUrl, imageUrl, locale, contactDetails }) -> tags for <head>
+// canonicalUrl / imageUrl must be absolute http(s) URLs (see httpUrl); without them the
+// url / image tags are left out rather than pointing somewhere wrong.
+// contactDetails: true adds email / telephone to the JSON-LD; off by default, since crawlers
+// harvest structured data more readily than the visible page.
+
+const { extractContacts } = require('./contacts');
+const { skillsOf } = require('./skills');
+
+function esc(s) {
+  return String(s == null ? '' : s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// absolute http(s) URL or '' (canonical / og:url / og:image need absolute URLs)
+function httpUrl(value) {
+  try {
+    const u = new URL(String(value || ''));
+    return /^https?:$/.test(u.protocol) ? u.href : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+function clip(text, max) {
+  const s = String(text || '').replace(/\s+/g, ' ').trim();
+  if (s.length <= max) return s;
+  const cut = s.slice(0, max - 1);
+  return cut.slice(0, cut.lastIndexOf(' ') > max / 2 ? cut.lastIndexOf(' ') : cut.length).replace(/[\s,;:.-]+$/, '') + '…';
+}
+
+// search results show ~155-160 characters; fall back to "Name — Role at Employer"
+function metaDescription(sections, max = 160) {
+  if (sections.summary) return clip(sections.summary, max);
+  const current = ((sections.structured && sections.structured.experience) || [])[0] || {};
+  const role = [sections.label || current.role, current.employer].filter(Boolean).join(' at ');
+  return clip([sections.name, role].filter(Boolean).join(' — '), max);
+}
+
+function personJsonLd(sections, { url = '', image = '', contactDetails = false } = {}) {
+  const model = sections.structured || { experience: [], education: [] };
+  const contacts = sections.contacts || extractContacts(sections.raw || sections.contact || '');
+  const uniq = list => [...new Set(list.filter(Boolean))];
+  const one = list => (list.length === 1 ? list[0] : list.length ? list : undefined);
+
+  // current jobs are worksFor; earlier employers and schools go under alumniOf
+  const current = model.experience.filter(e => e.current);
+  const working = current.length ? current : model.experience.slice(0, 1);
+  const titles = uniq([sections.label].concat(working.map(e => e.role)));
+  const org = (name, type = 'Organization') => ({ '@type': type, name });
+  const employers = uniq(working.map(e => e.employer));
+  const pastEmployers = uniq(model.experience.filter(e => !working.includes(e)).map(e => e.employer)).filter(n => !employers.includes(n));
+  const schools = uniq(model.education.map(e => e.institution));
+  // spoken languages are knowsLanguage, everything else knowsAbout (already deduplicated by skills.js)
+  const skills = skillsOf(sections);
+  const spoken = skills.filter(s => s.category === 'spoken').map(s => s.name);
+  const topics = skills.filter(s => s.category !== 'spoken').map(s => s.name).slice(0, 50);
+
+  const person = {
+    '@context': 'https://schema.org',
+    '@type': 'Person',
+    name: sections.name,
+    description: sections.summary ? clip(sections.summary, 300) : undefined,
+    jobTitle: one(titles),
+    worksFor: one(employers.map(n => org(n))),
+    alumniOf: one(schools.map(n => org(n, 'EducationalOrganization')).concat(pastEmployers.map(n => org(n)))),
+    knowsAbout: one(topics),
+    knowsLanguage: one(spoken),
+    url: url || undefined,
+    image: image || undefined,
+    email: contactDetails && contacts.emails[0] ? `mailto:${contacts.emails[0]}` : undefined,
+    telephone: (contactDetails && contacts.phones[0]) || undefined,
+    address: contacts.location ? { '@type': 'PostalAddress', addressLocality: contacts.location } : undefined,
+    sameAs: one(contacts.links.map(l => l.url))
+  };
+  // JSON.stringify drops the undefined fields
+  return JSON.parse(JSON.stringify(person));
+}
+
+function seoHead(sections, { title = '', canonicalUrl = '', imageUrl = '', locale = '', contactDetails = false } = {}) {
+  const url = httpUrl(canonicalUrl);
+  const image = httpUrl(imageUrl);
+  const description = metaDescription(sections);
+  const name = String(sections.name || '').trim();
+  const parts = name.split(/\s+/);
+  const tags = [
+    description ? `<meta name="description" content="${esc(description)}" />` : '',
+    url ? `<link rel="canonical" href="${esc(url)}" />` : '',
+    '<meta property="og:type" content="profile" />',
+    `<meta property="og:title" content="${esc(title || name)}" />`,
+    description ? `<meta property="og:description" content="${esc(description)}" />` : '',
+    url ? `<meta property="og:url" content="${esc(url)}" />` : '',
+    image ? `<meta property="og:image" content="${esc(image)}" />` : '',
+    locale ? `<meta property="og:locale" content="${esc(locale)}" />` : '',
+    parts.length > 1 ? `<meta property="profile:first_name" content="${esc(parts.slice(0, -1).join(' '))}" />` : '',
+    parts.length > 1 ? `<meta property="profile:last_name" content="${esc(parts[parts.length - 1])}" />` : '',
+    // the image is the (square) avatar: the small "summary" card fits it better than summary_large_image
+    '<meta name="twitter:card" content="summary" />',
+    `<meta name="twitter:title" content="${esc(title || name)}" />`,
+    description ? `<meta name="twitter:description" content="${esc(description)}" />` : '',
+    image ? `<meta name="twitter:image" content="${esc(image)}" />` : '',
+    // "<" escaped so CV text can never close the script element
+    `<script type="application/ld+json">${JSON.stringify(personJsonLd(sections, { url, image, contactDetails })).replace(/</g, '\\u003c')}</script>`
+  ];
+  return tags.filter(Boolean).join('\n');
+}
+
+module.exports = { httpUrl, metaDescription, personJsonLd, seoHead };
@@ -1,5 +1,5 @@
 // server.js
-// DeepSeek + uploaded DOCX/PDF -> Full HTML generator
+// Chat share link (DeepSeek / ChatGPT / web page) + uploaded DOCX/PDF -> Full HTML generator
 // Uses: express, multer (diskStorage to preserve ext), cheerio, mammoth, optional pdf-parse, adm-zip (optional), sanitize-html
 //
 // Install recommended deps:
@@ -17,22 +17,44 @@ const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
 const cors = require('cors');
-const fetch = require('node-fetch'); // v2 API
-const cheerio = require('cheerio');
 const sanitizeHtml = require('sanitize-html');
 const mammoth = require('mammoth');
+const { DEFAULT_THEME, PAPER_SIZES, getTheme, listThemes, resolveTheme, printCss } = require('./themes');
+const { buildPalette, printPalette } = require('./palette');
+const { buildCvModel, formatRange } = require('./cv_model');
+const { validateJsonResume, fromJsonResume, toJsonResume } = require('./json_resume');
+const { MAMMOTH_STYLE_MAP, htmlToMarkedText, documentXmlToMarkedText } = require('./docx_structure');
+const { makePageRenderer } = require('./pdf_layout');
+const { ALLOWED_TYPES, IMAGE_TYPES, newUploadId, checkDeclaredType, verifyStoredUpload, resolveUpload, startUploadSweeper } = require('./uploads');
+const { fetchSourceText } = require('./sources');
+const { renderMarkdown, renderPlainText } = require('./formats');
+const { extractContacts, buildVCard, telHref } = require('./contacts');
+const { DEFAULT_LANGUAGE, getLanguage, sectionHeadings, sectionKeywords, detectLanguage, resolveLanguage, listLanguages } = require('./i18n');
+const { STYLESHEET_PATH, FAVICON_PATH, IMAGE_DIR, normalizeSiteUrl, faviconSvg, buildSiteFiles, zipSite } = require('./site_export');
+const { httpUrl, seoHead } = require('./seo');
+const { NO_PROGRESS, createJob, getJob, jobSummary, cancelJob, subscribe } = require('./jobs');
+const { LEVELS, parseSkills, groupSkills, describeLevel, skillsOf } = require('./skills');
+const { tailorToJob } = require('./job_match');
+const { newReference, isValidReference, redactSections } = require('./redact');
+const { isValidCvId, hashSource, saveVersion, getVersion, listVersions, listCvIds, diffVersions, versionSummary } = require('./history');
 
 const app = express();
-app.use(cors());
+app.use(cors({ exposedHeaders: ['Content-Disposition', 'X-Redaction'] })); // export downloads read the filename (and redaction counts)
 app.use(express.json());
 
 // ------------------ CONFIG ------------------
 // where uploaded files will be stored (ensure writable)
-const UPLOAD_DIR = path.resolve(__dirname, 'uploads');
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'));
 if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
 
-// DEFAULT fallback file path (you uploaded files earlier - change if needed)
-const DEFAULT_UPLOADED_FILE_PATH = '/mnt/data/aasss.pdf';
+// upload limits + retention (uploads older than the TTL are deleted by the sweeper)
+const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES) || 10 * 1024 * 1024;
+const UPLOAD_TTL_MS = Number(process.env.UPLOAD_TTL_MS) || 24 * 60 * 60 * 1000;
+const UPLOAD_SWEEP_INTERVAL_MS = Number(process.env.UPLOAD_SWEEP_INTERVAL_MS) || 15 * 60 * 1000;
+
+// every generation is kept here (see history.js); only the newest versions per CV are kept
+const HISTORY_DIR = path.resolve(process.env.HISTORY_DIR || path.join(__dirname, 'history'));
+const HISTORY_MAX_VERSIONS = Number(process.env.HISTORY_MAX_VERSIONS) || 50;
 
 // ------------------ optional modules (safe) ------------------
 // pdf-parse optional
@@ -53,15 +75,60 @@ try {
   console.log('adm-zip not installed — zip fallback disabled. (Install adm-zip if you want fallback extraction from docx zip.)');
 }
 
-// ------------------ multer storage (preserve extension) ------------------
+// ------------------ multer storage (opaque id + extension) ------------------
+// stored as <uploadId><ext>; the id is what the client gets back (see uploads.js)
 const storage = multer.diskStorage({
   destination: (req, file, cb) => cb(null, UPLOAD_DIR),
   filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname) || '';
-    cb(null, `${Date.now()}${ext}`);
+    const ext = path.extname(file.originalname).toLowerCase();
+    cb(null, `${newUploadId()}${ext}`);
   }
 });
-const upload = multer({ storage });
+// one multer instance per accepted type map (CV documents, site images)
+function uploaderFor(types) {
+  return multer({
+    storage,
+    limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const problem = checkDeclaredType(file.originalname, file.mimetype, types);
+      if (problem) {
+        const err = new Error(problem);
+        err.status = 415;
+        return cb(err);
+      }
+      cb(null, true);
+    }
+  });
+}
+
+// upload.single(field) + size/type checks; answers 413/415 itself and leaves req.file verified
+function acceptUpload(field, types) {
+  const upload = uploaderFor(types);
+  return (req, res, next) => {
+    upload.single(field)(req, res, err => {
+      if (err) {
+        const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : (err.status || 400);
+        const error = err.code === 'LIMIT_FILE_SIZE' ? `File too large (max ${UPLOAD_MAX_BYTES} bytes)` : err.message;
+        return res.status(status).json({ ok: false, error });
+      }
+      if (req.file) {
+        const problem = verifyStoredUpload(req.file.path, types);
+        if (problem) {
+          fs.unlink(req.file.path, () => {});
+          return res.status(415).json({ ok: false, error: problem });
+        }
+      }
+      next();
+    });
+  };
+}
+const acceptCvUpload = acceptUpload('cv', ALLOWED_TYPES);
+const acceptImageUpload = acceptUpload('image', IMAGE_TYPES);
+
+// stored multer file -> the uploadId handed to the client
+function uploadIdFromFile(file) {
+  return path.basename(file.filename, path.extname(file.filename));
+}
 
 // ------------------ helpers ------------------
 function cleanText(t) {
@@ -69,77 +136,27 @@ function cleanText(t) {
   return sanitizeHtml(t, { allowedTags: [], allowedAttributes: {} }).replace(/\r/g, '').trim();
 }
 
-/* Fetch DeepSeek share page and extract meaningful text (best-effort)
-   Removes script/style/iframe to reduce noise and filters JS-like lines.
-*/
-async function fetchDeepseekText(url) {
-  try {
-    const resp = await fetch(url, { headers: { 'User-Agent': 'Mozilla/5.0' }, timeout: 20000 });
-    if (!resp.ok) throw new Error('DeepSeek page not accessible: ' + resp.status);
-    const html = await resp.text();
-    const $ = cheerio.load(html);
-
-    // reduce noise
-    $('script, style, noscript, iframe').remove();
-    $('*').each((i, el) => {
-      const attribs = el.attribs || {};
-      for (const a of Object.keys(attribs)) if (/on\w+/i.test(a)) $(el).removeAttr(a);
-    });
-
-    const selectors = ['article', '.chat', '.message', '.prose', '#root', 'main', '.chat-message', '.message-content'];
-    let collected = '';
-
-    for (const sel of selectors) {
-      const el = $(sel);
-      if (el && el.length) {
-        el.each((i, node) => {
-          const txt = cleanText($(node).text());
-          if (txt.length > 25) collected += txt + '\n\n';
-        });
-      }
-      if (collected.length > 400) break;
-    }
-
-    // fallback: extract body text and filter UI noise
-    if (!collected || collected.length < 200) {
-      const bodyText = cleanText($('body').text()).replace(/\s{2,}/g, '\n').trim();
-      const noise = ['Share', 'Copied', 'OpenAI', 'Sign in', 'Sign up', 'DeepSeek', 'Home', 'About', 'cookie', 'cdn-cgi', '__CF$'];
-      collected = bodyText.split('\n').filter(line => {
-        const s = line.trim();
-        if (s.length < 4) return false;
-        for (const n of noise) if (s.includes(n)) return false;
-        return true;
-      }).join('\n');
-    }
-
-    // final cleanup: drop script-like lines
-    collected = collected.split('\n').filter(l => {
-      if (/function\s*\(|document\.|cdn-cgi|__CF\$|eval\(/i.test(l)) return false;
-      if (l.length > 200 && !/\s/.test(l)) return false;
-      return l.trim().length > 0;
-    }).join('\n').replace(/\n{3,}/g, '\n\n').trim();
-
-    return collected;
-  } catch (err) {
-    console.error('fetchDeepseekText error:', err && (err.message || err));
-    return '';
-  }
+// "Jane Doe" -> "jane-doe" for download filenames
+function fileSlug(name) {
+  return String(name || 'cv').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'cv';
 }
 
 // ------------------ DOCX extraction (mammoth preferred) ------------------
+// convertToHtml rather than extractRawText: headings, lists and links survive as marked text
+// ("## Heading", "- item", "label (url)") which parseCvSections uses for section boundaries
 async function extractTextFromDocx(localPath) {
   try {
     const buffer = fs.readFileSync(localPath);
-    const result = await mammoth.extractRawText({ buffer });
-    const text = (result && result.value) ? result.value : '';
-    return cleanText(text);
+    const result = await mammoth.convertToHtml({ buffer }, { styleMap: MAMMOTH_STYLE_MAP });
+    const html = (result && result.value) ? result.value : '';
+    return cleanText(htmlToMarkedText(html, { isHeadingText: looksLikeSectionHeading }));
   } catch (err) {
     console.warn('mammoth extraction failed:', err && (err.message || err));
     return '';
   }
 }
 
-// adm-zip fallback: read word/document.xml and strip tags (only if adm-zip is available)
+// adm-zip fallback: read word/document.xml paragraphs with their styles (only if adm-zip is available)
 function extractTextFromDocxZipFallback(localPath) {
   if (!AdmZip) {
     console.warn('extractTextFromDocxZipFallback: adm-zip not available, skipping fallback.');
@@ -152,8 +169,15 @@ function extractTextFromDocxZipFallback(localPath) {
       console.warn('zip fallback: word/document.xml not found in docx archive.');
       return '';
     }
-    const xml = entry.getData().toString('utf8');
-    const text = xml.replace(/<[^>]+>/g, ' ').replace(/\s{2,}/g, ' ').trim();
+    const read = name => {
+      const e = zip.getEntry(name);
+      return e ? e.getData().toString('utf8') : '';
+    };
+    const text = documentXmlToMarkedText(entry.getData().toString('utf8'), {
+      stylesXml: read('word/styles.xml'),
+      relsXml: read('word/_rels/document.xml.rels'),
+      isHeadingText: looksLikeSectionHeading
+    });
     return cleanText(text);
   } catch (err) {
     console.warn('zip fallback failed:', err && (err.message || err));
@@ -162,11 +186,13 @@ function extractTextFromDocxZipFallback(localPath) {
 }
 
 // ------------------ PDF extraction (optional) ------------------
+// pagerender rebuilds columns/headings from item positions (see pdf_layout.js)
 async function extractTextFromPdf(localPath) {
   if (!pdfParse) return '';
   try {
-    const buffer = fs.readFileSync(localPath);
-    const data = await pdfParse(buffer);
+    // copy into a fresh Uint8Array: small Buffers share a pooled ArrayBuffer and pdf.js reads it from offset 0
+    const buffer = new Uint8Array(fs.readFileSync(localPath));
+    const data = await pdfParse(buffer, { pagerender: makePageRenderer({ isHeadingText: looksLikeSectionHeading }) });
     return (data && data.text) ? cleanText(data.text) : '';
   } catch (err) {
     console.warn('pdf-parse extraction failed:', err && (err.message || err));
@@ -175,15 +201,16 @@ async function extractTextFromPdf(localPath) {
 }
 
 // ------------------ upload endpoint ------------------
-app.post('/upload-cv', upload.single('cv'), async (req, res) => {
+// returns an opaque uploadId; pass it to /generate or /json-resume
+app.post('/upload-cv', acceptCvUpload, async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ ok: false, error: 'No file uploaded' });
-    const localPath = path.resolve(req.file.path);
     return res.json({
       ok: true,
-      filename: req.file.filename,
+      uploadId: uploadIdFromFile(req.file),
       originalname: req.file.originalname,
-      localPath
+      size: req.file.size,
+      expiresAt: new Date(Date.now() + UPLOAD_TTL_MS).toISOString()
     });
   } catch (err) {
     console.error('upload error:', err && (err.stack || err.message || err));
@@ -191,10 +218,53 @@ app.post('/upload-cv', upload.single('cv'), async (req, res) => {
   }
 });
 
+// images for the static site export (avatar, project shots); field "image"
+app.post('/upload-image', acceptImageUpload, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ ok: false, error: 'No image uploaded' });
+    return res.json({
+      ok: true,
+      imageId: uploadIdFromFile(req.file),
+      originalname: req.file.originalname,
+      size: req.file.size,
+      expiresAt: new Date(Date.now() + UPLOAD_TTL_MS).toISOString()
+    });
+  } catch (err) {
+    console.error('upload-image error:', err && (err.stack || err.message || err));
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
 // ------------------ CV parsing & HTML generation ------------------
+// boundary keywords of every known language (i18n.js); extractors run before the language is detected
+const SECTION_KEYWORDS = sectionKeywords();
+// "## " lines come from structured extractors (docx_structure.js, pdf_layout.js, sources.js)
+const HEADING_MARK = /^#{1,6}\s+/;
+
+// short line naming a known section (used to promote bold-only DOCX paragraphs to headings)
+function looksLikeSectionHeading(text) {
+  const l = String(text || '').toLowerCase();
+  return l.split(/\s+/).length <= 5 && SECTION_KEYWORDS.some(h => l.includes(h));
+}
+
+// header lines with personal details rather than an introduction ("Date of birth: ...", "IC No: ...")
+const PERSONAL_DETAIL_RE = /^(?:date of birth|birth\s?date|d\.?o\.?b\.?|born|age|address|home address|nationality|gender|marital status|religion|i\/?c(?: no\.?)?|nric|mykad|passport|tarikh lahir|umur|alamat|warganegara|kewarganegaraan|jantina|status perkahwinan|agama|no\.?\s*k\/?p|kad pengenalan|pasport)\b\s*[:.-]/i;
+
 function parseCvSections(text) {
   const trimmed = (text || '').replace(/\r/g, '').trim();
-  const lines = trimmed.split('\n').map(l => l.trim()).filter(Boolean);
+  const marked = trimmed.split('\n').map(l => l.trim()).filter(Boolean);
+  const lines = marked.map(l => l.replace(HEADING_MARK, ''));
+  // with real headings available only those split sections; otherwise any line mentioning a keyword does
+  const hasHeadings = marked.some(l => HEADING_MARK.test(l));
+  const lower = lines.map(l => l.toLowerCase());
+  // headings of the detected language plus English (mixed-language CVs are common)
+  const language = detectLanguage(trimmed);
+  const langs = [...new Set([language, DEFAULT_LANGUAGE])];
+  const keywords = sectionKeywords(langs);
+  // unmarked text: a short line naming a section ("5 years of experience in ..." is not a heading)
+  const isBoundary = j => hasHeadings
+    ? HEADING_MARK.test(marked[j])
+    : lower[j].split(/\s+/).length <= 5 && keywords.some(h => lower[j].includes(h));
 
   // name heuristics: first non-noise short-ish line
   let name = 'Candidate Name';
@@ -204,187 +274,904 @@ function parseCvSections(text) {
     if (l.length > 3 && l.split(' ').length <= 8) { name = l; break; }
   }
 
-  const nameIndex = lines.findIndex(l => l === name);
-  const summary = lines.slice(nameIndex + 1, nameIndex + 6).join(' ') || '';
-
-  const lower = lines.map(l => l.toLowerCase());
-  function extract(headers) {
-    const idx = lower.findIndex(l => headers.some(h => l.startsWith(h) || l.includes(h)));
+  function extract(key) {
+    const headers = sectionHeadings(key, langs);
+    const names = l => headers.some(h => l.startsWith(h) || l.includes(h));
+    let idx = lower.findIndex((l, j) => isBoundary(j) && names(l));
+    if (idx === -1 && !hasHeadings) idx = lower.findIndex(names);
     if (idx === -1) return '';
     let end = lines.length;
     for (let j = idx + 1; j < lower.length; j++) {
-      if (['experience','education','skills','projects','achievements','certificat','contact','summary'].some(h => lower[j].includes(h))) { end = j; break; }
+      if (isBoundary(j)) { end = j; break; }
     }
     return lines.slice(idx + 1, end).join('\n');
   }
 
+  // the intro under its own "Summary" / "Profile" / "Ringkasan" heading; without one, the lines
+  // between the name and the first section. Contact lines (rendered from sections.contacts) and
+  // personal details (date of birth, IC, address, ...) are never summary text.
+  const isContactLine = l => /@|https?:\/\/|www\.|linkedin\.com|github\.com|\+?\d[\d\s().-]{8,}\d/i.test(l);
+  const isPersonalLine = l => PERSONAL_DETAIL_RE.test(l);
+  const introLines = list => list.filter(l => !isContactLine(l) && !isPersonalLine(l)).join(' ');
+  const nameIndex = lines.findIndex(l => l === name);
+  let summaryEnd = nameIndex + 6;
+  for (let j = nameIndex + 1; j < summaryEnd && j < lines.length; j++) if (isBoundary(j)) { summaryEnd = j; break; }
+  const summary = extract('summary').replace(/\n/g, ' ') || introLines(lines.slice(nameIndex + 1, summaryEnd));
+
   const sections = {
     raw: text,
+    language,
     name,
     summary,
-    experience: extract(['experience', 'work experience', 'employment']),
-    education: extract(['education', 'academic', 'degree']),
-    skills: extract(['skills', 'technical skills', 'skill']),
-    projects: extract(['projects', 'project']),
-    achievements: extract(['achievements', 'awards', 'honours']),
-    contact: extract(['contact', 'email', 'phone', 'linkedin'])
+    experience: extract('experience'),
+    education: extract('education'),
+    skills: extract('skills'),
+    projects: extract('projects'),
+    achievements: extract('achievements'),
+    contact: extract('contact')
   };
 
   if (!sections.experience && lines.length > 6) sections.experience = lines.slice(6, Math.min(lines.length, 60)).join('\n');
-  if (!sections.summary && lines.length > 1) sections.summary = lines.slice(1, 6).join(' ');
+  if (!sections.summary && lines.length > 1) sections.summary = introLines(lines.slice(1, 6));
+  // entries (role/employer/dates/bullets, ...) with per-field confidence, see cv_model.js
+  sections.structured = buildCvModel(sections);
+  // emails / phones / profile links / location from the whole text; entry links (project repos) are not personal
+  sections.contacts = extractContacts(trimmed, { excludeUrls: sections.structured.projects.flatMap(p => p.links) });
   return sections;
 }
 
-function generateFullHtml(sections, themeType = 'modern', themeColors = 'black', professional = true) {
+// theme + palette as rendered; the static export also needs it for the shared stylesheet.
+// print ('a4' / 'letter'): paper colors and print CSS on top of the theme
+function resolvePageTheme(themeType, themeColors, professional, print = '') {
+  const theme = resolveTheme(themeType, professional);
+  theme.colors = buildPalette(themeColors, theme.colors).colors;
+  if (print) {
+    const css = theme.css;
+    theme.colors = printPalette(theme.colors);
+    theme.css = t => css(t) + printCss(print);
+  }
+  return theme;
+}
+
+// options:
+// - language: output language code or 'auto' (= the detected source language, see i18n.js).
+//   Section titles / placeholder text come from that language; section order comes from the theme.
+// - sections: only render these section keys ('contact' is available in addition to the theme's)
+// - stylesheetHref / faviconHref / avatarSrc / nav: static site export (linked CSS, page links)
+// - print: 'a4' | 'letter' for the print-ready variant (see printCss in themes.js)
+// - canonicalUrl / imageUrl: absolute URLs for the canonical link, og:url and og:image (see seo.js)
+// - skillLevels: false hides the proficiency meters on skills (default: shown where the CV gives a level)
+// - avatarText: shown in the avatar instead of the name's initial (the candidate reference when anonymized)
+function generateFullHtml(sections, themeType = DEFAULT_THEME, themeColors = 'black', professional = true, options = {}) {
   const esc = s => sanitizeHtml(String(s || ''), { allowedTags: [], allowedAttributes: {} }).replace(/\n/g, '<br>');
-  const primary = (themeColors || '').split(/\s+/)[0] || '#111111';
-  const accent = '#6c5ce7';
+  const attr = s => esc(s).replace(/"/g, '&quot;');
+  const theme = resolvePageTheme(themeType, themeColors, professional, options.print);
+  const lang = resolveLanguage(options.language, sections.language) || resolveLanguage('auto', sections.language);
+  const range = (a, b, current) => formatRange(a, b, current, lang.ui.present, lang.ui.months);
+
+  const model = sections.structured || { experience: [], education: [], projects: [], timeline: [] };
+  const dates = (a, b, current) => {
+    const r = range(a, b, current);
+    return r ? `<span class="entry-dates">${esc(r)}</span>` : '';
+  };
+  const meta = parts => parts.filter(Boolean).map(esc).join(' · ');
+
+  const renderers = {
+    experience: () => model.experience.map(e => `<article class="entry">
+        <div class="entry-head"><h3>${esc(e.role || e.employer)}</h3>${dates(e.startDate, e.endDate, e.current)}</div>
+        <div class="entry-meta">${meta([e.role ? e.employer : '', e.location])}</div>
+        ${e.bullets.length ? '<ul>' + e.bullets.map(b => '<li>' + esc(b) + '</li>').join('') + '</ul>' : ''}
+      </article>`).join(''),
+    education: () => model.education.map(e => `<article class="entry">
+        <div class="entry-head"><h3>${esc(e.degree || e.institution)}</h3>${dates(e.startDate, e.endDate, false)}</div>
+        <div class="entry-meta">${e.degree ? esc(e.institution) : ''}</div>
+      </article>`).join(''),
+    projects: () => model.projects.map(p => `<article class="entry">
+        <div class="entry-head"><h3>${esc(p.name)}</h3></div>
+        ${p.description ? '<p>' + esc(p.description) + '</p>' : ''}
+        ${p.links.map(l => `<a class="entry-link" href="${attr(l)}" rel="noopener" target="_blank">${esc(l.replace(/^https?:\/\//, ''))}</a>`).join(' ')}
+      </article>`).join(''),
+    timeline: () => model.timeline.length < 2 ? '' : '<ol class="timeline">' + model.timeline.map(t => `<li class="tl-${t.kind}">
+        <span class="tl-date">${esc(range(t.startDate, t.endDate, t.current))}</span>
+        <strong>${esc(t.title)}</strong>${t.subtitle ? ' <span class="tl-sub">' + esc(t.subtitle) + '</span>' : ''}
+      </li>`).join('') + '</ol>',
+    contact: () => contactItems.length ? '<ul class="contact contact-list">' + contactItems.join('') + '</ul>' : '',
+    skills: () => {
+      const groups = groupSkills(skillsOf(sections));
+      const chips = list => list.map(s => {
+        const hint = options.skillLevels === false ? '' : describeLevel(s, lang.ui);
+        const meter = s.level && hint
+          ? `<span class="skill-level" role="img" aria-label="${attr(hint)}">${LEVELS.map((l, i) => `<i${i <= LEVELS.indexOf(s.level) ? ' class="on"' : ''}></i>`).join('')}</span>`
+          : '';
+        return `<span class="skill-chip${meter ? ' skill-' + s.level : ''}${s.matched ? ' skill-match' : ''}"${hint ? ` title="${attr(hint)}"` : ''}>${esc(s.name)}${meter}</span>`;
+      }).join('');
+      // one category: plain chips, no subheading
+      if (groups.length === 1) return chips(groups[0].skills);
+      return groups.map(g => `<div class="skill-group skill-group-${g.category}">
+        <h3>${esc(lang.skillGroups[g.category])}</h3>
+        <div class="skill-chips">${chips(g.skills)}</div>
+      </div>`).join('');
+    }
+  };
+
+  // structured entries when the model found any, otherwise the raw text block
+  const renderSection = key => {
+    const html = renderers[key] ? renderers[key]() : '';
+    if (html) return html;
+    if (key === 'timeline') return null;
+    if (key === 'skills') return lang.empty.skills;
+    return `<pre>${esc(sections[key] || lang.empty[key])}</pre>`;
+  };
+
+  // contact links + vCard (data: URI so the download also works from the exported static page)
+  const contacts = sections.contacts || extractContacts(sections.raw || sections.contact || '');
+  const current = model.experience[0] || {};
+  const hasContacts = contacts.emails.length || contacts.phones.length || contacts.links.length || contacts.location;
+  const vcard = hasContacts ? buildVCard({ name: sections.name, title: sections.label || current.role, org: current.employer }, contacts) : '';
+  const contactItems = [
+    ...contacts.emails.map(e => `<li><a href="mailto:${attr(e)}">${esc(e)}</a></li>`),
+    ...contacts.phones.map(p => `<li><a href="${attr(telHref(p))}">${esc(p)}</a></li>`),
+    ...contacts.links.map(l => `<li><a class="contact-${l.kind}" href="${attr(l.url)}" rel="noopener" target="_blank">${esc(l.label)}</a></li>`),
+    contacts.location ? `<li class="contact-location">${esc(contacts.location)}</li>` : '',
+    vcard ? `<li><a class="vcard-link" download="${attr((sections.name || 'contact').replace(/[^\w.-]+/g, '_'))}.vcf" href="data:text/vcard;charset=utf-8,${attr(encodeURIComponent(vcard))}">${esc(lang.ui.saveContact)}</a></li>` : ''
+  ].filter(Boolean);
+
+  const nav = (options.nav || []).length
+    ? '<nav class="site-nav">' + options.nav.map(n => `<a href="${attr(n.href)}"${n.current ? ' aria-current="page"' : ''}>${esc(n.label)}</a>`).join('') + '</nav>'
+    : '';
+  const initial = options.avatarText ? esc(options.avatarText) : esc((sections.name && sections.name[0]) || 'A');
+  const header = `${nav}<header>
+      <div class="avatar${options.avatarText ? ' avatar-code' : ''}">${options.avatarSrc ? `<img src="${attr(options.avatarSrc)}" alt="${attr(sections.name)}" />` : initial}</div>
+      <div>
+        <h1>${esc(sections.name)}</h1>
+        <div class="meta">${esc(sections.summary)}</div>
+        ${contactItems.length ? '<ul class="contact">' + contactItems.join('') + '</ul>' : ''}
+      </div>
+    </header>`;
+  const footer = `<footer>${lang.ui.generatedBy} · ${lang.ui.theme}: ${theme.label} (${theme.variant}) · ${lang.ui.colors}: ${sanitizeHtml(String(themeColors))}</footer>`;
+  const body = theme.template({
+    theme,
+    header,
+    footer,
+    sections: (options.sections ? theme.sectionOrder.concat(options.sections.filter(k => !theme.sectionOrder.includes(k))).filter(k => options.sections.includes(k)) : theme.sectionOrder)
+      .map(key => ({ key, title: lang.titles[key], html: renderSection(key) }))
+      .filter(s => s.html !== null)
+  });
 
   return `<!doctype html>
-<html lang="en">
+<html lang="${lang.code}">
 <head>
 <meta charset="utf-8" />
 <meta name="viewport" content="width=device-width,initial-scale=1" />
-<title>${esc(sections.name)} — CV Website</title>
-<style>
-:root{--primary:${primary};--accent:${accent};--bg:#ffffff;--text:#222}
-body{font-family:Inter, Arial, sans-serif;background:#f6f8fb;margin:0;padding:24px;color:var(--text)}
-.wrap{max-width:980px;margin:36px auto;background:var(--bg);border-radius:12px;padding:28px;box-shadow:0 10px 30px rgba(20,20,40,.06)}
-header{display:flex;gap:18px;align-items:center;border-bottom:1px solid #eee;padding-bottom:18px;margin-bottom:20px}
-.avatar{width:96px;height:96px;border-radius:14px;background:linear-gradient(135deg,var(--accent),var(--primary));display:flex;align-items:center;justify-content:center;color:#fff;font-weight:700;font-size:28px}
-h1{margin:0;font-size:28px}
-.meta{color:#666;margin-top:6px}
-.section{margin-bottom:20px}
-.section h2{margin:0 0 8px 0;color:var(--primary);font-size:18px}
-.card{background:#fbfbff;padding:12px;border-radius:10px;border:1px solid #f0f0ff}
-.skill-chip{display:inline-block;padding:6px 10px;margin:6px 6px 0 0;border-radius:999px;background:#f2f3ff;font-size:13px}
-pre{white-space:pre-wrap;font-family:inherit}
-footer{border-top:1px solid #eee;padding-top:12px;color:#777;font-size:13px;margin-top:28px}
-</style>
+<title>${esc(sections.name)} — ${lang.ui.pageTitle}</title>
+${seoHead(sections, { title: `${sections.name} — ${lang.ui.pageTitle}`, canonicalUrl: options.canonicalUrl, imageUrl: options.imageUrl, locale: lang.locale })}
+${options.faviconHref ? `<link rel="icon" href="${attr(options.faviconHref)}" />\n` : ''}${options.stylesheetHref ? `<link rel="stylesheet" href="${attr(options.stylesheetHref)}" />` : `<style>${theme.css(theme)}</style>`}
 </head>
-<body>
-  <div class="wrap">
-    <header>
-      <div class="avatar">${(sections.name && sections.name[0]) || 'A'}</div>
-      <div>
-        <h1>${esc(sections.name)}</h1>
-        <div class="meta">${esc(sections.summary)}</div>
-      </div>
-    </header>
-
-    <div class="section">
-      <h2>Experience</h2>
-      <div class="card"><pre>${esc(sections.experience || 'No experience section found.')}</pre></div>
-    </div>
-
-    <div class="section">
-      <h2>Projects</h2>
-      <div class="card"><pre>${esc(sections.projects || 'No projects listed.')}</pre></div>
-    </div>
-
-    <div class="section">
-      <h2>Education</h2>
-      <div class="card"><pre>${esc(sections.education || 'No education section found.')}</pre></div>
-    </div>
-
-    <div class="section">
-      <h2>Achievements</h2>
-      <div class="card"><pre>${esc(sections.achievements || 'No achievements listed.')}</pre></div>
-    </div>
-
-    <div class="section">
-      <h2>Skills</h2>
-      <div class="card">${sections.skills ? sections.skills.split(/[,\n]+/).map(s => '<span class="skill-chip">' + esc(s.trim()) + '</span>').join('') : 'No skills found'}</div>
-    </div>
-
-    <footer>Generated by HTML-Generator · Theme: ${sanitizeHtml(String(themeType))} · Colors: ${sanitizeHtml(String(themeColors))} · Professional: ${professional}</footer>
-  </div>
+<body class="theme-${theme.name} variant-${theme.variant}${options.print ? ' print print-' + options.print : ''}">
+  ${body}
 </body>
 </html>`;
 }
 
-// ------------------ /generate endpoint ------------------
+// ------------------ CV text extraction chain ------------------
 // Priority:
-// 1) deepseekUrl (if provided)
+// 1) sourceUrl (if provided) -> host-specific adapter in sources.js (assistant replies only)
 // 2) DOCX (.docx) -> mammoth, then adm-zip fallback if mammoth returns little and adm-zip installed
 // 3) PDF (.pdf) -> pdf-parse (if installed)
 // 4) try reading file as utf8 plain text
-app.post('/generate', async (req, res) => {
-  try {
-    const {
-      deepseekUrl = '',
-      themeType = 'modern',
-      themeColors = 'black',
-      professional = true,
-      uploadedFilePath = DEFAULT_UPLOADED_FILE_PATH
-    } = req.body || {};
-
-    console.log('generate request payload:', { deepseekUrl, themeType, themeColors, professional, uploadedFilePath });
-
-    let cvText = '';
-
-    // 1) DeepSeek
-    if (deepseekUrl) {
-      cvText = await fetchDeepseekText(deepseekUrl);
-      console.log('DeepSeek extracted length:', cvText.length);
-    }
+// progress: job stage/warning reporting (see jobs.js); stages: fetching -> extracting
+async function extractCvText({ sourceUrl = '', uploadedFilePath = '', progress = NO_PROGRESS }) {
+  let cvText = '';
+
+  // 1) chat share / web page
+  if (sourceUrl) {
+    progress.stage('fetching');
+    const source = await fetchSourceText(sourceUrl, { signal: progress.signal });
+    progress.throwIfCancelled();
+    cvText = source.text;
+    console.log('Source URL extracted length:', cvText.length);
+    if (source.error) progress.warn(`Could not read the source page: ${source.error}`);
+    else if (cvText.length < 120) progress.warn(`The ${source.adapter} adapter found little text (${cvText.length} chars) on the source page.`);
+  }
 
-    // 2) DOCX extraction (prefer mammoth)
-    if ((!cvText || cvText.length < 120) && uploadedFilePath && fs.existsSync(uploadedFilePath)) {
-      const ext = path.extname(uploadedFilePath).toLowerCase();
-      if (ext === '.docx') {
-        console.log('Attempting DOCX extraction (mammoth) from', uploadedFilePath);
-        const docxText = await extractTextFromDocx(uploadedFilePath);
-        if ((!cvText || docxText.length > cvText.length) && docxText && docxText.length > 20) cvText = docxText;
-
-        // If mammoth yields little, try zip fallback (if adm-zip present)
-        if ((!cvText || cvText.length < 80)) {
-          console.log('Mammoth returned little text; trying zip fallback (if available)...');
-          const fallback = extractTextFromDocxZipFallback(uploadedFilePath);
-          if (fallback && fallback.length > cvText.length) cvText = fallback;
+  // 2) DOCX extraction (prefer mammoth)
+  if ((!cvText || cvText.length < 120) && uploadedFilePath && fs.existsSync(uploadedFilePath)) {
+    progress.stage('extracting');
+    const ext = path.extname(uploadedFilePath).toLowerCase();
+    if (ext === '.docx') {
+      console.log('Attempting DOCX extraction (mammoth) from', uploadedFilePath);
+      const docxText = await extractTextFromDocx(uploadedFilePath);
+      if ((!cvText || docxText.length > cvText.length) && docxText && docxText.length > 20) cvText = docxText;
+
+      // If mammoth yields little, try zip fallback (if adm-zip present)
+      if ((!cvText || cvText.length < 80)) {
+        console.log('Mammoth returned little text; trying zip fallback (if available)...');
+        const fallback = extractTextFromDocxZipFallback(uploadedFilePath);
+        if (fallback && fallback.length > cvText.length) {
+          cvText = fallback;
+          progress.warn('mammoth returned little text; used zip fallback');
+        } else {
+          progress.warn(AdmZip ? 'mammoth returned little text and the zip fallback found nothing more' : 'mammoth returned little text; zip fallback unavailable (adm-zip not installed)');
         }
-      } else if (ext === '.doc') {
-        // .doc: older Word format — best to convert to .docx (LibreOffice) before parsing.
-        // Optionally: integrate a conversion step with LibreOffice CLI if available in your environment.
-        console.log('.doc uploaded: mammoth does not reliably parse .doc. Convert .doc -> .docx (libreoffice soffice) for best results or ask user to upload .docx.');
       }
+    } else if (ext === '.doc') {
+      // .doc: older Word format — best to convert to .docx (LibreOffice) before parsing.
+      // Optionally: integrate a conversion step with LibreOffice CLI if available in your environment.
+      console.log('.doc uploaded: mammoth does not reliably parse .doc. Convert .doc -> .docx (libreoffice soffice) for best results or ask user to upload .docx.');
+      progress.warn('.doc files are not parsed reliably; save the CV as .docx for best results');
     }
+  }
 
-    // 3) PDF extraction (optional) or read as text fallback
-    if ((!cvText || cvText.length < 120) && uploadedFilePath && fs.existsSync(uploadedFilePath)) {
-      const ext = path.extname(uploadedFilePath).toLowerCase();
-      if (ext === '.pdf' && pdfParse) {
-        console.log('Attempting PDF extraction from', uploadedFilePath);
-        const pdfText = await extractTextFromPdf(uploadedFilePath);
-        if (pdfText && pdfText.length > cvText.length) cvText = pdfText;
-      } else {
-        // try reading raw utf8 (works for text files or HTML snapshots)
-        try {
-          const raw = fs.readFileSync(uploadedFilePath, 'utf8');
-          if (raw && raw.length > cvText.length) cvText = cleanText(raw);
-        } catch (e) {
-          // unreadable as utf8 -> likely binary. nothing else to do.
-          console.log('File unreadable as text (likely binary).');
-        }
+  // 3) PDF extraction (optional) or read as text fallback
+  if ((!cvText || cvText.length < 120) && uploadedFilePath && fs.existsSync(uploadedFilePath)) {
+    progress.stage('extracting');
+    const ext = path.extname(uploadedFilePath).toLowerCase();
+    if (ext === '.pdf' && pdfParse) {
+      console.log('Attempting PDF extraction from', uploadedFilePath);
+      const pdfText = await extractTextFromPdf(uploadedFilePath);
+      if (pdfText && pdfText.length > cvText.length) cvText = pdfText;
+      else if (!pdfText) progress.warn('pdf-parse found no text (scanned PDF?)');
+    } else {
+      if (ext === '.pdf') progress.warn('pdf-parse not installed; PDF read as plain text');
+      // try reading raw utf8 (works for text files or HTML snapshots)
+      try {
+        const raw = fs.readFileSync(uploadedFilePath, 'utf8');
+        if (raw && raw.length > cvText.length) cvText = cleanText(raw);
+      } catch (e) {
+        // unreadable as utf8 -> likely binary. nothing else to do.
+        console.log('File unreadable as text (likely binary).');
+        progress.warn('file unreadable as text (likely binary)');
       }
     }
+  }
 
-    if (!cvText || cvText.trim().length < 80) {
-      return res.status(400).json({
+  progress.throwIfCancelled();
+  return cvText;
+}
+
+// ------------------ generation input ------------------
+const JOB_DESCRIPTION_MAX_CHARS = 20000;
+
+// Shared by /generate, /parse, /render and /export-site.
+// Returns null when themeType / language are usable, otherwise { status, error }.
+function checkRenderOptions({ themeType, language, canonicalUrl, jobDescription = '', reference = '' }) {
+  // reject unknown themes up front instead of silently rendering the default
+  if (!getTheme(themeType)) {
+    return {
+      status: 400,
+      error: {
         ok: false,
-        error: 'Could not extract CV text from DeepSeek, uploaded DOCX, or uploaded file. Ensure DeepSeek share is public or upload a readable DOCX/PDF.'
-      });
+        error: `Unknown themeType "${themeType}". Use GET /themes for the available themes.`,
+        themes: listThemes().map(t => t.name)
+      }
+    };
+  }
+  if (language !== 'auto' && !getLanguage(language)) {
+    return {
+      status: 400,
+      error: {
+        ok: false,
+        error: `Unknown language "${language}". Use "auto" or one of the codes from GET /languages.`,
+        languages: listLanguages().map(l => l.code)
+      }
+    };
+  }
+  if (canonicalUrl && !httpUrl(canonicalUrl)) {
+    return { status: 400, error: { ok: false, error: `canonicalUrl must be an absolute http(s) URL, got "${canonicalUrl}".` } };
+  }
+  if (typeof jobDescription !== 'string' || jobDescription.length > JOB_DESCRIPTION_MAX_CHARS) {
+    return { status: 400, error: { ok: false, error: `jobDescription must be text of at most ${JOB_DESCRIPTION_MAX_CHARS} characters.` } };
+  }
+  if (reference && !isValidReference(reference)) {
+    return { status: 400, error: { ok: false, error: 'reference must be 1-32 letters, digits, spaces, dots, dashes or underscores.' } };
+  }
+  return null;
+}
+
+// Input: sections (edited fields from /parse, see sectionsFromEdited), jsonResume (both skip
+// extraction entirely) or sourceUrl / uploadId (see extractCvText).
+// deepseekUrl is still accepted as an alias of sourceUrl.
+// jobDescription (optional): text of a job ad the output is tailored to (see renderOutput).
+// redact / anonymize / reference (optional): privacy redaction, see redactFor.
+// progress: job stages fetching / extracting / parsing (see jobs.js)
+// Returns { options, sections, source } or { status, error } (error is the JSON body to send back).
+// source: { kind, sourceUrl, hash } for the version history
+async function loadGenerateInput(body, progress = NO_PROGRESS) {
+  const {
+    deepseekUrl = '',
+    sourceUrl = deepseekUrl,
+    themeType = DEFAULT_THEME,
+    themeColors = 'black',
+    professional = true,
+    uploadId = '',
+    jsonResume = null,
+    language = 'auto',
+    canonicalUrl = '',
+    skillLevels = true,
+    jobDescription = '',
+    redact = false,
+    anonymize = false,
+    reference = ''
+  } = body || {};
+  const options = {
+    sourceUrl,
+    themeType,
+    themeColors,
+    professional,
+    uploadId,
+    language,
+    canonicalUrl,
+    skillLevels: skillLevels !== false,
+    jobDescription,
+    redact: !!(redact || anonymize),
+    anonymize: !!anonymize,
+    // generated once here and stored with the version, so re-renders keep the same code
+    reference: anonymize ? reference || newReference() : ''
+  };
+
+  if (body && body.uploadedFilePath) {
+    return { status: 400, error: { ok: false, error: 'uploadedFilePath is no longer accepted. Upload via /upload-cv and send the returned uploadId.' } };
+  }
+  const uploadedFilePath = uploadId ? resolveUpload(UPLOAD_DIR, uploadId) : '';
+  if (uploadId && !uploadedFilePath) {
+    return { status: 404, error: { ok: false, error: 'Unknown or expired uploadId. Upload the CV again.' } };
+  }
+
+  const invalidOptions = checkRenderOptions(options);
+  if (invalidOptions) return invalidOptions;
+
+  if (body && body.sections) {
+    progress.stage('parsing');
+    const edited = sectionsFromEdited(body.sections);
+    if (edited.error) return edited;
+    return { options, sections: edited.sections, source: { kind: 'sections', sourceUrl: '', hash: hashSource(body.sections) } };
+  }
+
+  if (jsonResume) {
+    // JSON Resume document: already structured, no text extraction/parsing
+    progress.stage('parsing');
+    const invalid = validateJsonResume(jsonResume);
+    if (invalid) return { status: 400, error: { ok: false, error: invalid } };
+    return { options, sections: fromJsonResume(jsonResume), source: { kind: 'jsonResume', sourceUrl: '', hash: hashSource(jsonResume) } };
+  }
+
+  const cvText = await extractCvText({ sourceUrl, uploadedFilePath, progress });
+  if (!cvText || cvText.trim().length < 80) {
+    return {
+      status: 400,
+      error: {
+        ok: false,
+        error: 'Could not extract CV text from the source URL, uploaded DOCX, or uploaded file. Ensure the chat share is public or upload a readable DOCX/PDF.'
+      }
+    };
+  }
+  progress.stage('parsing');
+  return { options, sections: parseCvSections(cvText), source: { kind: sourceUrl ? 'url' : 'upload', sourceUrl, hash: hashSource(cvText) } };
+}
+
+// ------------------ output formats ------------------
+// format: html (default web page) | markdown | text (ATS plain text) | print (A4/Letter HTML, see `paper`)
+const FORMATS = {
+  html: { mimeType: 'text/html', ext: 'html' },
+  markdown: { mimeType: 'text/markdown', ext: 'md' },
+  text: { mimeType: 'text/plain', ext: 'txt' },
+  print: { mimeType: 'text/html', ext: 'html' }
+};
+const FORMAT_ALIASES = { md: 'markdown', txt: 'text', ats: 'text', plain: 'text', pdf: 'print' };
+
+// Returns { format, paper } or { status, error }
+// (own-property checks: "constructor" & co. are not formats or paper sizes)
+function readFormat(body) {
+  const requested = String(body.format || 'html').toLowerCase();
+  const format = Object.prototype.hasOwnProperty.call(FORMAT_ALIASES, requested) ? FORMAT_ALIASES[requested] : requested;
+  const paper = String(body.paper || 'a4').toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+    return { status: 400, error: { ok: false, error: `Unknown format "${body.format}".`, formats: Object.keys(FORMATS) } };
+  }
+  if (!Object.prototype.hasOwnProperty.call(PAPER_SIZES, paper)) {
+    return { status: 400, error: { ok: false, error: `Unknown paper "${body.paper}".`, papers: Object.keys(PAPER_SIZES) } };
+  }
+  return { format, paper };
+}
+
+// Privacy redaction (see redact.js) when options.redact / anonymize are set, otherwise null:
+// contact details and identity numbers are masked with the output language's "[redacted]" text;
+// anonymize also swaps the name for options.reference.
+function redactFor(sections, { redact, anonymize, reference, language }) {
+  if (!redact && !anonymize) return null;
+  const lang = resolveLanguage(language, sections.language) || resolveLanguage('auto', sections.language);
+  return redactSections(sections, { anonymize, reference, mask: lang.ui.redacted });
+}
+
+// JSON body for /generate and /render
+// jobDescription: the CV is tailored to it for this rendering only (see job_match.js); the response
+// gets a `match` report, the sections passed in (what the history stores) stay untouched.
+// Redaction is applied last, to what is rendered; its report comes back as `redaction`.
+function renderOutput(source, options, { format, paper }) {
+  const { themeType, themeColors, professional, language, canonicalUrl, skillLevels, jobDescription } = options;
+  const tailored = String(jobDescription || '').trim() ? tailorToJob(source, jobDescription) : null;
+  const redacted = redactFor(tailored ? tailored.sections : source, options);
+  const sections = redacted ? redacted.sections : tailored ? tailored.sections : source;
+  const avatarText = redacted && redacted.report.anonymized ? redacted.report.reference : '';
+  let content;
+  if (format === 'markdown') content = renderMarkdown(sections, { language, skillLevels });
+  else if (format === 'text') content = renderPlainText(sections, { language, skillLevels });
+  else content = generateFullHtml(sections, themeType, themeColors, professional, { language, canonicalUrl, skillLevels, avatarText, print: format === 'print' ? paper : '' });
+
+  // same inputs -> same palette as the one rendered; returned so callers can see what was picked and why
+  const palette = buildPalette(themeColors, resolveTheme(themeType, professional).colors);
+  const output = resolveLanguage(language, sections.language).code;
+  const base = fileSlug(sections.name);
+  return {
+    ok: true,
+    format,
+    mimeType: FORMATS[format].mimeType,
+    filename: `${base}${format === 'print' ? '-' + paper : ''}.${FORMATS[format].ext}`,
+    content,
+    // html / print keep the `html` field existing clients read
+    html: FORMATS[format].mimeType === 'text/html' ? content : undefined,
+    palette,
+    language: { detected: sections.language, output },
+    match: tailored ? tailored.report : undefined,
+    redaction: redacted ? redacted.report : undefined
+  };
+}
+
+// history key derived from a name: the CV's name, or the candidate reference when anonymized
+function defaultCvId(name) {
+  return fileSlug(name).slice(0, 80).replace(/-$/, '');
+}
+
+// rendered output -> new history version; returns the response body with `version` added
+// The history endpoints are open, so redacted versions keep only the redacted sections (and
+// anonymized ones no source URL either): what the version shows is what the output shows.
+function storeVersion({ cvId, source, options, sections, fmt, out, basedOn = null }) {
+  const redacted = redactFor(sections, options);
+  const version = saveVersion(HISTORY_DIR, {
+    cvId,
+    source: options.anonymize ? Object.assign({}, source, { sourceUrl: '' }) : source,
+    options: {
+      themeType: options.themeType,
+      themeColors: options.themeColors,
+      professional: options.professional,
+      language: options.language,
+      canonicalUrl: options.canonicalUrl || '',
+      skillLevels: options.skillLevels !== false,
+      jobDescription: options.jobDescription || '',
+      redact: !!options.redact,
+      anonymize: !!options.anonymize,
+      reference: options.reference || '',
+      format: fmt.format,
+      paper: fmt.paper
+    },
+    sections: redacted ? redacted.sections : sections,
+    output: { filename: out.filename, mimeType: out.mimeType, content: out.content },
+    basedOn
+  }, HISTORY_MAX_VERSIONS);
+  return Object.assign(out, { version: versionSummary(version) });
+}
+
+// /generate body -> { status, body } (the response to send); shared by /generate and /jobs.
+// cvId (optional): history key; defaults to the slug of the parsed name, or of the candidate
+// reference when anonymized (so the history never files the version under the real name).
+async function runGeneration(body, progress = NO_PROGRESS) {
+  const fmt = readFormat(body);
+  if (fmt.error) return { status: fmt.status, body: fmt.error };
+  if (body.cvId && !isValidCvId(body.cvId)) {
+    return { status: 400, body: { ok: false, error: 'cvId must be 1-80 lowercase letters, digits or dashes.' } };
+  }
+
+  const input = await loadGenerateInput(body, progress);
+  if (input.error) return { status: input.status, body: input.error };
+  console.log('generate request payload:', Object.assign({}, input.options, { format: fmt.format, jsonResume: !!body.jsonResume, sections: !!body.sections, jobDescription: !!input.options.jobDescription }));
+
+  progress.stage('rendering');
+  const out = renderOutput(input.sections, input.options, fmt);
+  const cvId = body.cvId || defaultCvId(input.options.anonymize ? input.options.reference : input.sections.name);
+  return { status: 200, body: storeVersion({ cvId, source: input.source, options: input.options, sections: input.sections, fmt, out }) };
+}
+
+// ------------------ /generate endpoint ------------------
+app.post('/generate', async (req, res) => {
+  try {
+    const out = await runGeneration(req.body || {});
+    return res.status(out.status).json(out.body);
+  } catch (err) {
+    console.error('generate error:', err && (err.stack || err.message || err));
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// ------------------ /parse & /render endpoints ------------------
+// Review step: /parse returns the detected sections as plain text fields, the user fixes the
+// name / section splits, and /render turns the corrected fields into output.
+//
+// contact holds the contact details one per line ("Location: ..." for the address) rather than
+// the text under a "Contact" heading, since those details drive the page header.
+const EDITABLE_FIELDS = ['name', 'label', 'summary', 'experience', 'projects', 'education', 'skills', 'achievements', 'contact'];
+const EDITABLE_MAX_CHARS = 20000;
+
+function contactLines(contacts) {
+  const c = contacts || { emails: [], phones: [], links: [], location: '' };
+  return [...c.emails, ...c.phones, ...c.links.map(l => l.url), c.location ? `Location: ${c.location}` : ''].filter(Boolean).join('\n');
+}
+
+function editableSections(sections) {
+  const fields = { language: sections.language || DEFAULT_LANGUAGE };
+  for (const key of EDITABLE_FIELDS) fields[key] = String(sections[key] || '');
+  fields.contact = contactLines(sections.contacts);
+  return fields;
+}
+
+// edited fields -> the same shape parseCvSections returns (structured model and contacts rebuilt
+// from the text, so fixing a section split also fixes its entries).
+// Returns { sections } or { status, error }
+function sectionsFromEdited(edited) {
+  if (!edited || typeof edited !== 'object' || Array.isArray(edited)) {
+    return { status: 400, error: { ok: false, error: 'sections must be an object with the fields returned by /parse.', fields: EDITABLE_FIELDS } };
+  }
+  const sections = {};
+  for (const key of EDITABLE_FIELDS) {
+    const value = edited[key] == null ? '' : edited[key];
+    if (typeof value !== 'string') {
+      return { status: 400, error: { ok: false, error: `sections.${key} must be a string.`, fields: EDITABLE_FIELDS } };
+    }
+    if (value.length > EDITABLE_MAX_CHARS) {
+      return { status: 400, error: { ok: false, error: `sections.${key} is longer than ${EDITABLE_MAX_CHARS} characters.` } };
+    }
+    sections[key] = value.replace(/\r/g, '').trim();
+  }
+  if (!sections.name) return { status: 400, error: { ok: false, error: 'sections.name must not be empty.' } };
+
+  sections.raw = EDITABLE_FIELDS.map(k => sections[k]).filter(Boolean).join('\n\n');
+  sections.language = getLanguage(edited.language) ? getLanguage(edited.language).code : detectLanguage(sections.raw);
+  sections.structured = buildCvModel(sections);
+  sections.contacts = extractContacts(sections.contact);
+  return { sections };
+}
+
+// Same input as /generate; responds with the editable fields plus what the parser built from them.
+app.post('/parse', async (req, res) => {
+  try {
+    const input = await loadGenerateInput(req.body || {});
+    if (input.error) return res.status(input.status).json(input.error);
+    const { sections } = input;
+    return res.json({
+      ok: true,
+      sections: editableSections(sections),
+      structured: sections.structured,
+      contacts: sections.contacts,
+      // skills items left out as noise (URLs, "etc.", sentences), so the reviewer can see what went missing
+      droppedSkills: parseSkills(sections.skills).dropped,
+      language: { detected: sections.language }
+    });
+  } catch (err) {
+    console.error('parse error:', err && (err.stack || err.message || err));
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// sections (from /parse, edited) + the /generate theme / language / format options; same response
+// as /generate plus the rebuilt structured model and contacts. /export-site accepts `sections` too.
+app.post('/render', async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!body.sections) {
+      return res.status(400).json({ ok: false, error: 'sections is required. Get them from /parse.', fields: EDITABLE_FIELDS });
+    }
+    const fmt = readFormat(body);
+    if (fmt.error) return res.status(fmt.status).json(fmt.error);
+
+    const input = await loadGenerateInput(body);
+    if (input.error) return res.status(input.status).json(input.error);
+    const { sections } = input;
+
+    return res.json(Object.assign(renderOutput(sections, input.options, fmt), {
+      structured: sections.structured,
+      contacts: sections.contacts
+    }));
+  } catch (err) {
+    console.error('render error:', err && (err.stack || err.message || err));
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// ------------------ generation jobs ------------------
+// Same work as /generate, run in the background with progress reporting (see jobs.js):
+//   POST /jobs                 /generate body (or /render body with `sections`) -> 202 { jobId, job }
+//   GET  /jobs/:id             status + stages with their warnings
+//   GET  /jobs/:id/events      Server-Sent Events: stage / warning / done / failed / cancelled
+//                              (history is replayed first; Last-Event-ID resumes after a reconnect)
+//   GET  /jobs/:id/result      the /generate response once finished (409 while running, 410 if cancelled)
+//   POST /jobs/:id/cancel
+function findJob(req, res) {
+  const job = getJob(req.params.id);
+  if (!job) res.status(404).json({ ok: false, error: 'Unknown or expired job id.' });
+  return job;
+}
+
+app.post('/jobs', (req, res) => {
+  try {
+    const body = req.body || {};
+    const job = createJob(progress => runGeneration(body, progress));
+    const base = `/jobs/${job.id}`;
+    return res.status(202).json({
+      ok: true,
+      jobId: job.id,
+      job: jobSummary(job),
+      links: { events: `${base}/events`, result: `${base}/result`, cancel: `${base}/cancel` }
+    });
+  } catch (err) {
+    console.error('jobs error:', err && (err.stack || err.message || err));
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+app.get('/jobs/:id', (req, res) => {
+  const job = findJob(req, res);
+  if (job) res.json({ ok: true, job: jobSummary(job) });
+});
+
+app.get('/jobs/:id/events', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  res.write('retry: 2000\n\n');
+
+  const TERMINAL = ['done', 'failed', 'cancelled'];
+  let unsubscribe = () => {};
+  // comment lines keep proxies (Render, nginx) from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const close = () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  };
+  unsubscribe = subscribe(job, Number(req.get('Last-Event-ID')) || 0, e => {
+    res.write(`id: ${e.id}\nevent: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`);
+    if (TERMINAL.includes(e.type)) {
+      close();
+      res.end();
+    }
+  });
+  // reconnecting after the terminal event (Last-Event-ID): nothing left to send
+  if (job.status !== 'running' && !res.writableEnded) {
+    close();
+    res.end();
+  }
+  req.on('close', close);
+});
+
+app.get('/jobs/:id/result', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  if (job.status === 'running') return res.status(409).json({ ok: false, error: 'Job is still running.', job: jobSummary(job) });
+  if (job.status === 'cancelled') return res.status(410).json({ ok: false, error: 'Job was cancelled.', job: jobSummary(job) });
+  return res.status(job.result.status).json(job.result.body);
+});
+
+app.post('/jobs/:id/cancel', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  if (!cancelJob(job)) return res.status(409).json({ ok: false, error: `Job already ${job.status}.`, job: jobSummary(job) });
+  return res.json({ ok: true, job: jobSummary(job) });
+});
+
+// ------------------ version history ------------------
+// Every /generate (and /jobs) run is stored, see history.js:
+//   GET  /history                              CVs with stored versions
+//   GET  /history/:cvId                        versions, newest first
+//   GET  /history/:cvId/diff?from=id&to=id     sections / options / output diff (default: latest two)
+//   GET  /history/:cvId/:versionId             one version, including sections and output
+//   POST /history/:cvId/:versionId/render      re-render its sections (theme / language / format
+//                                              overrides in the body), stored as a new version
+//   POST /history/:cvId/:versionId/restore     make it the latest version again, output unchanged
+function findVersion(req, res) {
+  const version = getVersion(HISTORY_DIR, req.params.cvId, req.params.versionId);
+  if (!version) res.status(404).json({ ok: false, error: 'Unknown cvId or versionId. Use GET /history/:cvId for the stored versions.' });
+  return version;
+}
+
+app.get('/history', (req, res) => res.json({ ok: true, cvs: listCvIds(HISTORY_DIR) }));
+
+app.get('/history/:cvId', (req, res) => {
+  const versions = listVersions(HISTORY_DIR, req.params.cvId);
+  if (!versions.length) return res.status(404).json({ ok: false, error: `No versions stored for "${req.params.cvId}".` });
+  return res.json({ ok: true, cvId: req.params.cvId, versions });
+});
+
+app.get('/history/:cvId/diff', (req, res) => {
+  try {
+    const versions = listVersions(HISTORY_DIR, req.params.cvId);
+    const to = req.query.to || (versions[0] && versions[0].id);
+    const from = req.query.from || (versions[1] && versions[1].id);
+    if (!from || !to) return res.status(400).json({ ok: false, error: 'Need two versions: pass ?from=<versionId>&to=<versionId>.' });
+    const a = getVersion(HISTORY_DIR, req.params.cvId, String(from));
+    const b = getVersion(HISTORY_DIR, req.params.cvId, String(to));
+    if (!a || !b) return res.status(404).json({ ok: false, error: `Unknown versionId "${!a ? from : to}".` });
+    return res.json(Object.assign({ ok: true }, diffVersions(a, b)));
+  } catch (err) {
+    console.error('history diff error:', err && (err.stack || err.message || err));
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+app.get('/history/:cvId/:versionId', (req, res) => {
+  const version = findVersion(req, res);
+  if (version) res.json({ ok: true, version });
+});
+
+app.post('/history/:cvId/:versionId/render', (req, res) => {
+  try {
+    const version = findVersion(req, res);
+    if (!version) return;
+    const body = Object.assign({}, version.options, req.body || {});
+    const fmt = readFormat(body);
+    if (fmt.error) return res.status(fmt.status).json(fmt.error);
+    const options = {
+      themeType: body.themeType,
+      themeColors: body.themeColors,
+      professional: body.professional,
+      language: body.language,
+      canonicalUrl: body.canonicalUrl || '',
+      skillLevels: body.skillLevels !== false,
+      jobDescription: body.jobDescription || '',
+      redact: !!(body.redact || body.anonymize),
+      anonymize: !!body.anonymize,
+      reference: body.anonymize ? body.reference || newReference() : ''
+    };
+    const invalid = checkRenderOptions(options);
+    if (invalid) return res.status(invalid.status).json(invalid.error);
+
+    const out = renderOutput(version.sections, options, fmt);
+    // anonymizing a version filed under the name starts a new history under the reference,
+    // with no link back to the original version
+    const moved = options.anonymize && !version.options.anonymize;
+    return res.json(storeVersion({
+      cvId: moved ? defaultCvId(options.reference) : version.cvId,
+      source: version.source,
+      options,
+      sections: version.sections,
+      fmt,
+      out,
+      basedOn: moved ? null : { id: version.id, action: 'rerender' }
+    }));
+  } catch (err) {
+    console.error('history render error:', err && (err.stack || err.message || err));
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+app.post('/history/:cvId/:versionId/restore', (req, res) => {
+  try {
+    const version = findVersion(req, res);
+    if (!version) return;
+    const restored = saveVersion(HISTORY_DIR, {
+      cvId: version.cvId,
+      source: version.source,
+      options: version.options,
+      sections: version.sections,
+      output: version.output,
+      basedOn: { id: version.id, action: 'restore' }
+    }, HISTORY_MAX_VERSIONS);
+    const { filename, mimeType, content } = restored.output;
+    return res.json({
+      ok: true,
+      format: restored.options.format,
+      mimeType,
+      filename,
+      content,
+      html: mimeType === 'text/html' ? content : undefined,
+      version: versionSummary(restored)
+    });
+  } catch (err) {
+    console.error('history restore error:', err && (err.stack || err.message || err));
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// ------------------ /export-site endpoint ------------------
+// Same input as /generate (including edited `sections` from /parse), plus:
+//   imageIds: [id, ...]   images from /upload-image, copied to assets/images/
+//   avatarImageId: id     one of those (or any uploaded image) used as the header avatar
+//   siteUrl: 'https://...' public base URL for sitemap.xml / robots.txt and each page's canonical /
+//                          og:url (canonicalUrl is ignored here: every page has its own)
+//   pages: ['projects', 'contact']  extra pages (default: each one that has content)
+// redact / anonymize work as on /generate (anonymize also leaves out the avatar photo); the
+// redaction counts come back in the X-Redaction header.
+// Responds with application/zip instead of JSON.
+app.post('/export-site', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const input = await loadGenerateInput(body);
+    if (input.error) return res.status(input.status).json(input.error);
+    const redacted = redactFor(input.sections, input.options);
+    const sections = redacted ? redacted.sections : input.sections;
+    const { themeType, themeColors, professional, language, skillLevels, anonymize, reference } = input.options;
+
+    const imageIds = [...new Set([].concat(body.imageIds || [], body.avatarImageId || []))];
+    const images = [];
+    for (const id of imageIds.filter(id => !anonymize || id !== body.avatarImageId)) {
+      const p = resolveUpload(UPLOAD_DIR, id, IMAGE_TYPES);
+      if (!p) return res.status(404).json({ ok: false, error: `Unknown or expired imageId "${id}". Upload the image again.` });
+      images.push({ id, name: path.basename(p), data: fs.readFileSync(p) });
+    }
+    const avatar = anonymize ? null : images.find(i => i.id === body.avatarImageId);
+
+    const theme = resolvePageTheme(themeType, themeColors, professional);
+    const lang = resolveLanguage(language, sections.language);
+    const model = sections.structured || { projects: [] };
+    const contacts = sections.contacts || extractContacts(sections.raw || '');
+    const available = {
+      projects: model.projects.length > 0 || !!sections.projects,
+      contact: contacts.emails.length + contacts.phones.length + contacts.links.length > 0 || !!contacts.location
+    };
+    const wanted = Array.isArray(body.pages) ? body.pages : Object.keys(available).filter(k => available[k]);
+    const extra = ['projects', 'contact'].filter(k => wanted.includes(k));
+
+    const nav = extra.length
+      ? [{ key: 'index', href: 'index.html', label: lang.ui.home }].concat(extra.map(k => ({ key: k, href: `${k}.html`, label: lang.titles[k] })))
+      : [];
+    const siteUrl = normalizeSiteUrl(body.siteUrl);
+    const avatarSrc = avatar ? `${IMAGE_DIR}/${avatar.name}` : '';
+    const shared = { language, skillLevels, avatarText: anonymize ? reference : '', stylesheetHref: STYLESHEET_PATH, faviconHref: FAVICON_PATH, avatarSrc, imageUrl: siteUrl && avatarSrc ? siteUrl + avatarSrc : '' };
+    const render = (key, sectionKeys) => generateFullHtml(sections, themeType, themeColors, professional, Object.assign({}, shared, {
+      sections: sectionKeys,
+      canonicalUrl: siteUrl ? siteUrl + (key === 'index' ? '' : `${key}.html`) : '',
+      nav: nav.map(n => Object.assign({}, n, { current: n.key === key }))
+    }));
+
+    const pages = [{ path: 'index.html', html: render('index') }]
+      .concat(extra.map(k => ({ path: `${k}.html`, html: render(k, [k]) })));
+    const files = buildSiteFiles({
+      pages,
+      css: theme.css(theme),
+      favicon: faviconSvg(sections.name && sections.name[0], theme.colors),
+      images,
+      siteUrl: body.siteUrl
+    });
+    const zip = await zipSite(files);
+
+    const base = fileSlug(sections.name);
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="${base}-site.zip"`);
+    if (redacted) res.set('X-Redaction', JSON.stringify({ reference: redacted.report.reference, counts: redacted.report.counts }));
+    return res.send(zip);
+  } catch (err) {
+    console.error('export-site error:', err && (err.stack || err.message || err));
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// ------------------ /json-resume endpoint ------------------
+// DOCX/PDF (multipart field "cv", or uploadId / sourceUrl in JSON) -> JSON Resume document.
+// The result can be corrected by hand and sent back to /generate as `jsonResume`.
+app.post('/json-resume', acceptCvUpload, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const uploadedFilePath = req.file ? path.resolve(req.file.path) : (resolveUpload(UPLOAD_DIR, body.uploadId) || '');
+    if (body.uploadId && !uploadedFilePath) {
+      return res.status(404).json({ ok: false, error: 'Unknown or expired uploadId. Upload the CV again.' });
+    }
+    const cvText = await extractCvText({ sourceUrl: body.sourceUrl || body.deepseekUrl || '', uploadedFilePath });
+
+    if (!cvText || cvText.trim().length < 80) {
+      return res.status(400).json({ ok: false, error: 'Could not extract CV text from the uploaded file. Upload a readable DOCX/PDF.' });
     }
 
     const sections = parseCvSections(cvText);
-    const html = generateFullHtml(sections, themeType, themeColors, professional);
-    return res.json({ ok: true, html });
+    return res.json({ ok: true, jsonResume: toJsonResume(sections) });
   } catch (err) {
-    console.error('generate error:', err && (err.stack || err.message || err));
+    console.error('json-resume error:', err && (err.stack || err.message || err));
     return res.status(500).json({ ok: false, error: err.message || String(err) });
   }
 });
 
-app.get('/', (req, res) => res.send('HTML Generator (DeepSeek/DOCX) running'));
+// ------------------ /themes & /languages endpoints ------------------
+app.get('/themes', (req, res) => res.json({ ok: true, default: DEFAULT_THEME, themes: listThemes() }));
+app.get('/languages', (req, res) => res.json({ ok: true, default: 'auto', languages: listLanguages() }));
+
+app.get('/', (req, res) => res.send('HTML Generator (chat share/DOCX/PDF) running'));
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`Server listening on ${PORT}`));
+startUploadSweeper(UPLOAD_DIR, UPLOAD_TTL_MS, UPLOAD_SWEEP_INTERVAL_MS);
@@ -0,0 +1,80 @@
+// site_export.js
+// Static site bundle: rendered pages + shared stylesheet + favicon + robots.txt + sitemap.xml
+// + uploaded images, zipped so it can be dropped onto any static host.
+//
+// Layout of the ZIP:
+//   index.html, projects.html, contact.html   (pages are optional except index)
+//   assets/style.css, assets/images/<file>
+//   favicon.svg, robots.txt, sitemap.xml   (sitemap.xml only with a siteUrl: sitemaps need absolute URLs)
+//
+// Rendering stays in server.js (generateFullHtml); this module only assembles files.
+
+const JSZip = require('jszip');
+
+const STYLESHEET_PATH = 'assets/style.css';
+const FAVICON_PATH = 'favicon.svg';
+const IMAGE_DIR = 'assets/images';
+
+function xmlEscape(s) {
+  return String(s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// "https://me.example.com/cv" -> "https://me.example.com/cv/"; anything that is not http(s) -> ''
+function normalizeSiteUrl(siteUrl) {
+  try {
+    const u = new URL(String(siteUrl || ''));
+    if (!/^https?:$/.test(u.protocol)) return '';
+    return u.href.replace(/\/?$/, '/');
+  } catch (e) {
+    return '';
+  }
+}
+
+// initial on a rounded square in the theme colors
+function faviconSvg(initial, colors) {
+  const letter = xmlEscape(String(initial || 'A').slice(0, 1).toUpperCase());
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64">
+  <rect width="64" height="64" rx="14" fill="${xmlEscape(colors.primary)}"/>
+  <text x="32" y="43" font-family="Arial, sans-serif" font-size="34" font-weight="700" text-anchor="middle" fill="${xmlEscape(colors.bg)}">${letter}</text>
+</svg>
+`;
+}
+
+function robotsTxt(siteUrl) {
+  const base = normalizeSiteUrl(siteUrl);
+  return `User-agent: *\nAllow: /\n${base ? `Sitemap: ${base}sitemap.xml\n` : ''}`;
+}
+
+// sitemaps need absolute URLs: '' without a usable siteUrl (buildSiteFiles then leaves the file out)
+function sitemapXml(pagePaths, siteUrl) {
+  const base = normalizeSiteUrl(siteUrl);
+  if (!base) return '';
+  const today = new Date().toISOString().slice(0, 10);
+  const urls = pagePaths.map(p => `  <url><loc>${xmlEscape(base + (p === 'index.html' ? '' : p))}</loc><lastmod>${today}</lastmod></url>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+// pages: [{ path, html }], images: [{ name, data }]; returns { path: string|Buffer }
+function buildSiteFiles({ pages, css, favicon, images = [], siteUrl = '' }) {
+  const files = {};
+  for (const p of pages) files[p.path] = p.html;
+  files[STYLESHEET_PATH] = css;
+  files[FAVICON_PATH] = favicon;
+  for (const img of images) files[`${IMAGE_DIR}/${img.name}`] = img.data;
+  files['robots.txt'] = robotsTxt(siteUrl);
+  const sitemap = sitemapXml(pages.map(p => p.path), siteUrl);
+  if (sitemap) files['sitemap.xml'] = sitemap;
+  return files;
+}
+
+async function zipSite(files) {
+  const zip = new JSZip();
+  for (const name of Object.keys(files)) zip.file(name, files[name]);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', compressionOptions: { level: 9 } });
+}
+
+module.exports = { STYLESHEET_PATH, FAVICON_PATH, IMAGE_DIR, normalizeSiteUrl, faviconSvg, robotsTxt, sitemapXml, buildSiteFiles, zipSite };
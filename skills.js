@@ -0,0 +1,451 @@
+// skills.js
+// Skills section text -> normalized, grouped skills.
+//
+// parseSkills(text) -> { skills: [{ name, category, level, years }], dropped: [text] }
+//   name      canonical name from the taxonomy ("js", "JS", "javascript" -> "JavaScript"),
+//             or the item as written when it is not in the taxonomy
+//   category  one of CATEGORY_ORDER (taxonomy first, then a "Frameworks: ..." line label, else 'other')
+//   level     'beginner' | 'intermediate' | 'advanced' | 'expert' | null, from hints such as
+//             "(advanced)", "Python - fluent", "4/5" or, failing those, the years
+//   years     number | null, from "5 years", "3+ yrs", "2 tahun"
+//   dropped   noise that is not a skill: empty items, URLs, "etc.", sentences without a known skill
+// Duplicates (after aliasing) are merged, keeping the highest level / years.
+//
+// mentionedSkills(text) -> [{ name, category }] taxonomy skills named in running text (job descriptions)
+// groupSkills(skills) -> [{ category, skills }] in CATEGORY_ORDER, empty groups left out.
+// describeLevel(skill, ui) -> "Advanced, 5 years" in the output language (ui = i18n ui strings), '' without hints
+// skillsOf(sections) -> sections.structured.skills, or parsed from the text for sections stored
+//                       before the model had skills (history versions)
+// Category titles and level names per output language live in i18n.js (skillGroups / ui.levels).
+
+const CATEGORY_ORDER = ['languages', 'frameworks', 'databases', 'cloud', 'tools', 'spoken', 'soft', 'other'];
+const LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+// canonical name -> aliases (matched case-insensitively, ignoring spaces, dots and dashes)
+const TAXONOMY = {
+  languages: {
+    JavaScript: ['js', 'es6', 'es2015', 'ecmascript', 'vanilla js'],
+    TypeScript: ['ts'],
+    Python: ['py', 'python3', 'python 3'],
+    Java: ['java se', 'java ee', 'j2ee'],
+    'C#': ['csharp', 'c sharp'],
+    'C++': ['cpp', 'cplusplus'],
+    C: [],
+    Go: ['golang'],
+    Rust: [],
+    PHP: ['php7', 'php8'],
+    Ruby: [],
+    Kotlin: [],
+    Swift: [],
+    Dart: [],
+    R: [],
+    Scala: [],
+    'Objective-C': ['objc'],
+    'Visual Basic': ['vb', 'vba', 'vb.net'],
+    MATLAB: [],
+    SQL: ['t-sql', 'tsql', 'pl/sql', 'plsql'],
+    HTML: ['html5'],
+    CSS: ['css3'],
+    Sass: ['scss'],
+    Bash: ['shell', 'shell scripting', 'sh'],
+    PowerShell: []
+  },
+  frameworks: {
+    React: ['reactjs', 'react.js'],
+    'React Native': [],
+    'Next.js': ['nextjs', 'next'],
+    'Vue.js': ['vue', 'vuejs', 'vue 3'],
+    'Nuxt.js': ['nuxt', 'nuxtjs'],
+    Angular: ['angularjs', 'angular.js'],
+    Svelte: ['sveltekit'],
+    jQuery: [],
+    'Node.js': ['node', 'nodejs'],
+    Express: ['express.js', 'expressjs'],
+    NestJS: ['nest.js', 'nest'],
+    Django: [],
+    Flask: [],
+    FastAPI: [],
+    Laravel: [],
+    CodeIgniter: [],
+    'Ruby on Rails': ['rails', 'ror'],
+    Spring: ['spring boot', 'springboot'],
+    '.NET': ['dotnet', '.net core', 'asp.net', 'aspnet', 'asp.net core'],
+    Flutter: [],
+    Bootstrap: [],
+    'Tailwind CSS': ['tailwind', 'tailwindcss'],
+    Redux: [],
+    GraphQL: [],
+    TensorFlow: [],
+    PyTorch: [],
+    'scikit-learn': ['sklearn', 'scikit learn'],
+    Pandas: [],
+    NumPy: []
+  },
+  databases: {
+    MySQL: [],
+    PostgreSQL: ['postgres', 'psql'],
+    SQLite: [],
+    'Microsoft SQL Server': ['mssql', 'sql server', 'ms sql'],
+    Oracle: ['oracle db', 'oracle database'],
+    MongoDB: ['mongo'],
+    Redis: [],
+    Firebase: ['firestore'],
+    Elasticsearch: ['elastic search', 'elk'],
+    DynamoDB: [],
+    MariaDB: []
+  },
+  cloud: {
+    AWS: ['amazon web services'],
+    'Google Cloud': ['gcp', 'google cloud platform'],
+    Azure: ['microsoft azure'],
+    Docker: ['docker compose', 'docker-compose'],
+    Kubernetes: ['k8s'],
+    Terraform: [],
+    Ansible: [],
+    Linux: ['ubuntu', 'centos', 'debian'],
+    Nginx: [],
+    'CI/CD': ['cicd', 'continuous integration'],
+    'GitHub Actions': [],
+    Jenkins: [],
+    Heroku: [],
+    Vercel: [],
+    Netlify: []
+  },
+  tools: {
+    Git: ['git scm'],
+    GitHub: [],
+    GitLab: [],
+    Bitbucket: [],
+    Jira: [],
+    Confluence: [],
+    Trello: [],
+    Postman: [],
+    'VS Code': ['vscode', 'visual studio code'],
+    'Visual Studio': [],
+    Figma: [],
+    'Adobe Photoshop': ['photoshop'],
+    'Adobe Illustrator': ['illustrator'],
+    'Adobe Premiere Pro': ['premiere', 'premiere pro'],
+    'Adobe XD': ['xd'],
+    Canva: [],
+    AutoCAD: [],
+    SolidWorks: [],
+    'Microsoft Office': ['ms office', 'office 365', 'microsoft 365'],
+    'Microsoft Excel': ['excel', 'ms excel'],
+    'Microsoft Word': ['word', 'ms word'],
+    'Microsoft PowerPoint': ['powerpoint', 'ms powerpoint'],
+    'Microsoft Access': ['ms access'],
+    'Power BI': ['powerbi'],
+    Tableau: [],
+    'Google Workspace': ['g suite', 'gsuite', 'google docs', 'google sheets'],
+    WordPress: ['wp'],
+    SAP: [],
+    Webpack: [],
+    Vite: [],
+    Jest: [],
+    Selenium: [],
+    Cypress: []
+  },
+  spoken: {
+    English: ['bahasa inggeris', 'inggeris'],
+    Malay: ['bahasa melayu', 'bahasa malaysia', 'melayu', 'bm'],
+    Mandarin: ['chinese', 'bahasa cina'],
+    Cantonese: [],
+    Tamil: ['bahasa tamil'],
+    Arabic: ['bahasa arab', 'arab'],
+    Japanese: ['bahasa jepun'],
+    Korean: [],
+    French: [],
+    German: [],
+    Spanish: [],
+    Indonesian: ['bahasa indonesia']
+  },
+  soft: {
+    Communication: ['communication skills', 'komunikasi', 'kemahiran komunikasi'],
+    Teamwork: ['team work', 'team player', 'collaboration', 'kerja berpasukan'],
+    Leadership: ['kepimpinan', 'team leadership'],
+    'Problem solving': ['problem-solving', 'problem solver', 'penyelesaian masalah'],
+    'Time management': ['pengurusan masa'],
+    'Critical thinking': ['analytical thinking', 'pemikiran kritis'],
+    Adaptability: ['flexibility', 'fleksibel'],
+    Creativity: ['kreativiti', 'creative thinking'],
+    'Attention to detail': ['detail-oriented', 'detail oriented'],
+    'Public speaking': ['presentation', 'presentation skills', 'pengucapan awam'],
+    'Project management': ['pengurusan projek'],
+    Negotiation: ['rundingan'],
+    'Customer service': ['khidmat pelanggan', 'customer support']
+  }
+};
+
+// "Frameworks: React, Vue" -> category of the label (checked in order: "programming languages" is not spoken)
+const LABEL_HINTS = [
+  ['languages', /programming|coding|scripting|pengaturcaraan/i],
+  ['spoken', /spoken|languages?\b|bahasa/i],
+  ['frameworks', /framework|librar|front-?end|back-?end|web/i],
+  ['databases', /database|data\s?store|pangkalan data/i],
+  ['cloud', /cloud|devops|infra|deploy|hosting|operating system/i],
+  ['tools', /tool|software|application|platform|perisian|aplikasi|design/i],
+  ['soft', /soft|interpersonal|personal|insaniah|generic|transferable/i]
+];
+
+// proficiency words (English + Malay), matched as whole words
+const LEVEL_WORDS = {
+  beginner: ['beginner', 'basic', 'basics', 'elementary', 'novice', 'familiar', 'asas', 'permulaan'],
+  intermediate: ['intermediate', 'working knowledge', 'conversational', 'competent', 'good', 'moderate', 'sederhana', 'baik'],
+  advanced: ['advanced', 'proficient', 'fluent', 'strong', 'very good', 'excellent', 'mahir', 'fasih', 'lanjutan', 'cemerlang'],
+  expert: ['expert', 'native', 'mother tongue', 'mastery', 'master', 'pakar', 'bahasa ibunda']
+};
+// leading / trailing words that are safe without brackets ("Advanced Excel", "English fluent");
+// "basic" and "good" are not: "Visual Basic", "Good communication"
+const BARE_LEVEL_WORDS = ['beginner', 'intermediate', 'advanced', 'expert', 'proficient', 'fluent', 'native', 'mahir', 'fasih', 'pakar'];
+
+const YEARS_RE = /(\d{1,2}(?:\.\d)?)\s*\+?\s*(?:years?|yrs?|tahun|thn)\.?(?:\s+(?:of\s+)?(?:experience|exp\.?|pengalaman))?/i;
+const RATING_RE = /\b([0-9]|10)\s*\/\s*(5|10)\b/;
+const STARS_RE = /([★●]+)([☆○]*)/;
+const URL_RE = /\b(?:https?:\/\/|www\.)\S+|\S+@\S+\.\w+/i;
+const FILLER_RE = /^(?:etc|and more|and others|others|many more|dll|dan lain-lain|lain-lain|and so on)\.?$/i;
+const HEADING_RE = /^(?:skills?|technical skills|soft skills|hard skills|key skills|core skills|kemahiran|kebolehan)$/i;
+const GENERIC_SUFFIX_RE = /\s+(?:programming|language|framework|library|development|skills?)$/i;
+const BULLET_RE = /^\s*(?:[-•*–·▪●◦]|\d+[.)])\s+/;
+// longer than this (words / characters) is a sentence, not a skill
+const MAX_WORDS = 5;
+const MAX_CHARS = 40;
+
+function skillKey(s) {
+  return String(s || '').toLowerCase().replace(/[\s._\-/]+/g, '');
+}
+
+const ALIASES = new Map();
+for (const category of Object.keys(TAXONOMY)) {
+  for (const name of Object.keys(TAXONOMY[category])) {
+    for (const alias of [name].concat(TAXONOMY[category][name])) ALIASES.set(skillKey(alias), { name, category });
+  }
+}
+
+// known skills mentioned in running text (a sentence in the skills section, a job description):
+// canonical names as written (case-sensitive, so the words "go" or "word" do not count), longer
+// aliases in any case ("golang", "PostgreSQL"/"postgres") and soft skills by any alias
+const MENTION_SKIP = new Set(['C', 'R', 'Go', 'Word', 'Express', 'Spring', 'Swift', 'Next', 'Nest', 'SAP']);
+const GENERIC_ALIASES = new Set(['excel', 'shell', 'word', 'next', 'nest', 'node', 'rails', 'arab', 'premiere', 'illustrator', 'presentation']);
+const MENTION_TERMS = [];
+for (const category of Object.keys(TAXONOMY)) {
+  for (const name of Object.keys(TAXONOMY[category])) {
+    const aliases = TAXONOMY[category][name];
+    const terms = category === 'soft'
+      ? [name].concat(aliases).map(term => [term, 'i'])
+      : (MENTION_SKIP.has(name) ? [] : [[name, '']]).concat(aliases.filter(a => a.length >= 4 && !GENERIC_ALIASES.has(a)).map(a => [a, 'i']));
+    for (const [term, flags] of terms) {
+      const re = new RegExp(`(?:^|[^\\w.+#])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w+#])`, flags);
+      MENTION_TERMS.push({ name, category, re });
+    }
+  }
+}
+
+function wordsRe(words) {
+  return words.slice().sort((a, b) => b.length - a.length).map(w => w.replace(/\s+/g, '\\s+')).join('|');
+}
+const LEVEL_ONLY_RE = new RegExp(`^(?:${wordsRe([].concat(...Object.values(LEVEL_WORDS)))})$`, 'i');
+const LEADING_LEVEL_RE = new RegExp(`^(${wordsRe(BARE_LEVEL_WORDS)})\\s+(?:in\\s+|knowledge\\s+of\\s+|with\\s+)?`, 'i');
+const TRAILING_LEVEL_RE = new RegExp(`(?:\\s*[:|]|\\s+[-–—])?\\s+(${wordsRe(BARE_LEVEL_WORDS)})$`, 'i');
+const SEPARATED_LEVEL_RE = new RegExp(`(?:\\s*[:|]|\\s+[-–—])\\s*(${wordsRe([].concat(...Object.values(LEVEL_WORDS)))})$`, 'i');
+
+function levelOfWord(word) {
+  const w = String(word || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return LEVELS.find(l => LEVEL_WORDS[l].includes(w)) || null;
+}
+
+function levelOfYears(years) {
+  if (years == null) return null;
+  if (years < 1) return 'beginner';
+  if (years < 3) return 'intermediate';
+  if (years < 6) return 'advanced';
+  return 'expert';
+}
+
+function levelOfRating(value, outOf) {
+  const ratio = value / outOf;
+  return ratio >= 0.9 ? 'expert' : ratio >= 0.7 ? 'advanced' : ratio >= 0.4 ? 'intermediate' : 'beginner';
+}
+
+// split on commas / semicolons / bullets / pipes outside brackets ("AWS (EC2, S3)" stays one item)
+function splitItems(line) {
+  const items = [];
+  let depth = 0;
+  let cur = '';
+  for (const ch of line) {
+    if (ch === '(' || ch === '[') depth++;
+    if ((ch === ')' || ch === ']') && depth > 0) depth--;
+    if (depth === 0 && /[,;|•·]/.test(ch)) {
+      items.push(cur);
+      cur = '';
+    } else {
+      cur += ch;
+    }
+  }
+  items.push(cur);
+  return items.map(s => s.trim()).filter(Boolean);
+}
+
+// "Frameworks: React, Vue" -> { hint: 'frameworks', rest: 'React, Vue' }; "Python: advanced" is an item
+function splitLabel(line) {
+  const m = line.match(/^([^:,()]{2,40}):(?!\/\/)\s*(.+)$/);
+  if (!m || LEVEL_ONLY_RE.test(m[2].trim()) || YEARS_RE.test(m[2]) && m[2].length < 25) return { hint: null, rest: line };
+  const hint = LABEL_HINTS.find(([, re]) => re.test(m[1]));
+  return { hint: hint ? hint[0] : 'other', rest: m[2] };
+}
+
+// proficiency hints out of one item: -> { text (hints removed), level, years }
+function extractLevel(item) {
+  let text = item;
+  let level = null;
+  let years = null;
+  const take = l => {
+    if (l && (!level || LEVELS.indexOf(l) > LEVELS.indexOf(level))) level = l;
+  };
+
+  // bracketed hints: "(advanced)", "(5 years)", "[4/5]", "(fluent, 10 yrs)"
+  text = text.replace(/\s*[([]([^()[\]]*)[)\]]/g, (m, inner) => {
+    const parts = inner.split(/[,;/]|\s+-\s+/).map(s => s.trim()).filter(Boolean);
+    const hints = parts.filter(p => LEVEL_ONLY_RE.test(p) || YEARS_RE.test(p) || RATING_RE.test(p) || STARS_RE.test(p));
+    if (!hints.length || hints.length < parts.length) return m;
+    for (const p of hints) {
+      const y = p.match(YEARS_RE);
+      if (y) years = Math.max(years || 0, parseFloat(y[1]));
+      const r = p.match(RATING_RE);
+      if (r && !y) take(levelOfRating(+r[1], +r[2]));
+      const s = p.match(STARS_RE);
+      if (s && !y && !r) take(levelOfRating(s[1].length, s[1].length + s[2].length));
+      if (LEVEL_ONLY_RE.test(p)) take(levelOfWord(p));
+    }
+    return '';
+  });
+
+  const y = text.match(YEARS_RE);
+  if (y) {
+    years = Math.max(years || 0, parseFloat(y[1]));
+    text = text.replace(YEARS_RE, ' ');
+  }
+  const r = text.match(RATING_RE);
+  if (r) {
+    take(levelOfRating(+r[1], +r[2]));
+    text = text.replace(RATING_RE, ' ');
+  }
+  const s = text.match(STARS_RE);
+  if (s) {
+    take(levelOfRating(s[1].length, s[1].length + s[2].length));
+    text = text.replace(STARS_RE, ' ');
+  }
+  text = text.replace(/\s*[-–—:|]\s*$/, '').replace(/\s+(?:of|with|in)$/i, '').trim();
+
+  for (const re of [SEPARATED_LEVEL_RE, TRAILING_LEVEL_RE, LEADING_LEVEL_RE]) {
+    const m = text.match(re);
+    if (m && text.replace(re, '').trim()) {
+      take(levelOfWord(m[1]));
+      text = text.replace(re, '').trim();
+    }
+  }
+  return { text: text.replace(/\s*[-–—:|]\s*$/, '').replace(/\s+/g, ' ').trim(), level, years };
+}
+
+// taxonomy entry { name, category } for a skill as written, or null
+function lookupSkill(text) {
+  return ALIASES.get(skillKey(text)) || ALIASES.get(skillKey(String(text || '').replace(GENERIC_SUFFIX_RE, ''))) || null;
+}
+
+// -> [{ name, category }], each skill once
+function mentionedSkills(text) {
+  const seen = new Set();
+  return MENTION_TERMS.filter(t => !seen.has(t.name) && t.re.test(text) && seen.add(t.name)).map(t => ({ name: t.name, category: t.category }));
+}
+
+function isSentence(text) {
+  return text.split(/\s+/).length > MAX_WORDS || text.length > MAX_CHARS;
+}
+
+function parseSkills(text) {
+  const found = [];
+  const dropped = [];
+  const add = (name, category, level, years) => found.push({ name, category, level, years });
+
+  for (const rawLine of String(text || '').replace(/\r/g, '').split('\n')) {
+    const line = rawLine.replace(BULLET_RE, '').trim();
+    if (!line) continue;
+    const { hint, rest } = splitLabel(line);
+
+    for (const raw of splitItems(rest)) {
+      const item = raw.replace(BULLET_RE, '').replace(/[.!]+$/, '').trim();
+      if (!item || !/[\p{L}]/u.test(item) || FILLER_RE.test(item) || HEADING_RE.test(item)) {
+        if (item && !HEADING_RE.test(item)) dropped.push(raw);
+        continue;
+      }
+      if (URL_RE.test(item)) {
+        dropped.push(raw);
+        continue;
+      }
+      const { text: name, level, years } = extractLevel(item);
+      if (!name) {
+        dropped.push(raw);
+        continue;
+      }
+      const known = lookupSkill(name);
+      if (known) {
+        add(known.name, known.category, level, years);
+        continue;
+      }
+
+      // "Microsoft Office (Word, Excel)": known base name, bracketed list of more skills
+      const bracket = name.match(/^([^()]+?)\s*\(([^()]+)\)$/);
+      if (bracket && lookupSkill(bracket[1])) {
+        const base = lookupSkill(bracket[1]);
+        add(base.name, base.category, level, years);
+        for (const sub of splitItems(bracket[2].replace(/\band\b/gi, ','))) {
+          const k = lookupSkill(sub);
+          add(k ? k.name : sub, k ? k.category : base.category, null, null);
+        }
+        continue;
+      }
+
+      if (isSentence(name)) {
+        // keep the known skills a sentence mentions, drop the rest of it
+        const mentioned = mentionedSkills(name);
+        if (!mentioned.length) dropped.push(raw);
+        for (const t of mentioned) add(t.name, t.category, null, null);
+        continue;
+      }
+      add(name, hint || 'other', level, years);
+    }
+  }
+
+  // merge duplicates (first spelling / position wins), keep the strongest hint
+  const byKey = new Map();
+  for (const s of found) {
+    const key = skillKey(s.name);
+    const prev = byKey.get(key);
+    if (!prev) {
+      byKey.set(key, Object.assign({}, s));
+      continue;
+    }
+    if (s.level && (!prev.level || LEVELS.indexOf(s.level) > LEVELS.indexOf(prev.level))) prev.level = s.level;
+    if (s.years != null) prev.years = Math.max(prev.years || 0, s.years);
+    if (prev.category === 'other' && s.category !== 'other') prev.category = s.category;
+  }
+  const skills = [...byKey.values()].map(s => Object.assign(s, { level: s.level || levelOfYears(s.years) }));
+  return { skills, dropped };
+}
+
+function groupSkills(skills) {
+  return CATEGORY_ORDER
+    .map(category => ({ category, skills: skills.filter(s => s.category === category) }))
+    .filter(g => g.skills.length);
+}
+
+function describeLevel(skill, ui) {
+  return [skill.level ? ui.levels[skill.level] : '', skill.years ? ui.years(skill.years) : ''].filter(Boolean).join(', ');
+}
+
+function skillsOf(sections) {
+  const model = (sections && sections.structured) || {};
+  return Array.isArray(model.skills) ? model.skills : parseSkills(sections && sections.skills).skills;
+}
+
+module.exports = { CATEGORY_ORDER, LEVELS, TAXONOMY, skillKey, lookupSkill, parseSkills, mentionedSkills, groupSkills, describeLevel, skillsOf };
@@ -0,0 +1,220 @@
+// sources.js
+// Source adapters for chat-share / web page URLs, picked by URL host.
+//
+// Each adapter: { name, hosts: [RegExp], extract(html, url) -> { text, messages } }
+// extract() is pure (HTML string in, marked text out) so adapters can be checked against
+// saved pages without network access:
+//   node sources.js saved-page.html https://chatgpt.com/share/...
+//   npm run check-sources     (fixtures/sources/*.html, expectations in check_sources.js)
+//
+// Only assistant output is kept; user prompts are dropped. When a conversation has several
+// assistant replies the last CV-looking one wins (later replies are usually the revised CV).
+
+const cheerio = require('cheerio');
+const fetch = require('node-fetch'); // v2 API
+
+const CV_WORDS = ['experience', 'education', 'skills', 'projects', 'summary', 'profile', 'achievements', 'certification', 'employment', 'contact'];
+const CHATTER_START = /^(sure|certainly|of course|absolutely|great|here(?:'s| is| are)|below is|i(?:'ve| have) (?:created|prepared|updated))\b/i;
+const CHATTER_END = /(let me know|hope (?:this|it) helps|feel free|would you like|happy to help|good luck)/i;
+
+function cleanLines(text) {
+  return String(text || '').replace(/\r/g, '').split('\n').map(l => l.replace(/[ \t ]+/g, ' ').trim())
+    .filter(Boolean).join('\n');
+}
+
+// markdown (as found in chat JSON payloads) -> marked text: "## " headings, "- " bullets, "label (url)" links
+function markdownToMarked(md) {
+  return cleanLines(String(md || '')
+    .replace(/```[\s\S]*?```/g, m => m.replace(/```\w*/g, ''))
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, url) => label === url ? url : `${label} (${url})`)
+    .replace(/^\s{0,3}#{1,6}\s+/gm, '## ')
+    .replace(/^(\s*)[*+•]\s+/gm, '$1- ')
+    .replace(/^\s*(?:---+|\*\*\*+|___+)\s*$/gm, '')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|\W)[*_]([^*_\n]+)[*_](?=\W|$)/g, '$1$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/^\s*\|?\s*:?-{3,}.*$/gm, '')
+    .replace(/\s*\|\s*/g, m => m.includes('\n') ? m : ' | '));
+}
+
+// rendered HTML element -> marked text
+function elementToMarked($, el) {
+  const $el = $(el).clone();
+  $el.find('script, style, noscript, iframe, svg, button, nav, form').remove();
+  $el.find('h1, h2, h3, h4, h5, h6').each((i, h) => { $(h).replaceWith(`\n## ${$(h).text().trim()}\n`); });
+  $el.find('a[href]').each((i, a) => {
+    const href = $(a).attr('href') || '';
+    const label = $(a).text().trim();
+    if (/^https?:/i.test(href) && label && label !== href) $(a).replaceWith(`${label} (${href})`);
+  });
+  $el.find('li').each((i, li) => { $(li).prepend('\n- ').append('\n'); });
+  $el.find('br').replaceWith('\n');
+  $el.find('p, div, tr, section, article, blockquote, pre, table, ul, ol, dd, dt').each((i, b) => { $(b).append('\n'); });
+  return cleanLines($el.text().replace(/\n- \s*\n/g, '\n- '));
+}
+
+// drop "Sure, here is your CV:" / "Let me know if..." wrappers around the CV itself
+function stripChatter(text) {
+  const lines = cleanLines(text).split('\n');
+  while (lines.length > 3 && CHATTER_START.test(lines[0]) && lines[0].length < 200) lines.shift();
+  while (lines.length > 3 && CHATTER_END.test(lines[lines.length - 1]) && lines[lines.length - 1].length < 250) lines.pop();
+  return lines.join('\n');
+}
+
+function cvScore(text) {
+  const lower = String(text || '').toLowerCase();
+  return CV_WORDS.filter(w => lower.includes(w)).length;
+}
+
+// several assistant messages -> the CV: last message that looks like one, else the longest
+function pickCvMessage(messages) {
+  const msgs = messages.map(cleanLines).filter(Boolean);
+  if (!msgs.length) return '';
+  const cvLike = msgs.filter(m => cvScore(m) >= 2 && m.length > 200);
+  const chosen = cvLike.length ? cvLike[cvLike.length - 1] : msgs.reduce((a, b) => (b.length > a.length ? b : a));
+  return stripChatter(chosen);
+}
+
+// walk JSON embedded in <script> tags looking for chat messages with a role
+function messagesFromScripts($) {
+  const found = [];
+  const visit = (node, depth) => {
+    if (!node || typeof node !== 'object' || depth > 60) return;
+    if (Array.isArray(node)) {
+      for (const n of node) visit(n, depth + 1);
+      return;
+    }
+    const role = (node.author && node.author.role) || node.role;
+    if (typeof role === 'string') {
+      let content = null;
+      if (node.content && Array.isArray(node.content.parts)) content = node.content.parts.filter(p => typeof p === 'string').join('\n');
+      else if (typeof node.content === 'string') content = node.content;
+      else if (typeof node.text === 'string') content = node.text;
+      if (content) found.push({ role: role.toLowerCase(), content, time: node.create_time || node.inserted_at || 0 });
+    }
+    for (const k of Object.keys(node)) visit(node[k], depth + 1);
+  };
+
+  $('script').each((i, s) => {
+    const src = $(s).html() || '';
+    if (!/"role"\s*:/.test(src)) return;
+    // whole-script JSON (__NEXT_DATA__, application/json) or a JSON literal assigned to a global
+    const candidates = [src.trim()];
+    const m = src.match(/=\s*(\{[\s\S]*\})\s*;?\s*$/);
+    if (m) candidates.push(m[1]);
+    for (const c of candidates) {
+      try {
+        visit(JSON.parse(c), 0);
+        break;
+      } catch (e) { /* not plain JSON */ }
+    }
+  });
+
+  // de-duplicate (the same message often appears in several trees) and keep conversation order
+  const seen = new Set();
+  return found.filter(m => {
+    const key = m.role + '|' + m.content;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).sort((a, b) => (a.time && b.time ? a.time - b.time : 0));
+}
+
+// ------------------ adapters ------------------
+function extractChatgpt(html) {
+  const $ = cheerio.load(html);
+  const dom = $('[data-message-author-role="assistant"]').map((i, el) => elementToMarked($, el)).get();
+  if (dom.length) return { text: pickCvMessage(dom), messages: dom.length };
+
+  const msgs = messagesFromScripts($).filter(m => m.role === 'assistant').map(m => markdownToMarked(m.content));
+  return { text: pickCvMessage(msgs), messages: msgs.length };
+}
+
+function extractDeepseek(html) {
+  const $ = cheerio.load(html);
+  // assistant replies render as .ds-markdown blocks; user prompts do not
+  const dom = $('.ds-markdown').filter((i, el) => !$(el).parents('.ds-markdown').length).map((i, el) => elementToMarked($, el)).get();
+  if (dom.length) return { text: pickCvMessage(dom), messages: dom.length };
+
+  const msgs = messagesFromScripts($).filter(m => m.role === 'assistant').map(m => markdownToMarked(m.content));
+  if (msgs.length) return { text: pickCvMessage(msgs), messages: msgs.length };
+  return extractGeneric(html);
+}
+
+// plain article / page: the biggest content container, without navigation chrome
+function extractGeneric(html) {
+  const $ = cheerio.load(html);
+  $('script, style, noscript, iframe, nav, header, footer, aside, form, [role="navigation"], [aria-hidden="true"]').remove();
+
+  const containers = ['article', 'main', '[role="main"]', '.post-content', '.entry-content', '.content', '#content', '.prose'];
+  let best = null;
+  let bestLen = 0;
+  for (const sel of containers) {
+    $(sel).each((i, el) => {
+      const len = $(el).text().replace(/\s+/g, ' ').trim().length;
+      if (len > bestLen) { best = el; bestLen = len; }
+    });
+  }
+  const text = elementToMarked($, best || $('body').get(0) || $.root().get(0));
+  // drop script-like leftovers (inline config dumps, minified blobs)
+  const filtered = text.split('\n').filter(l => !/function\s*\(|document\.|cdn-cgi|__CF\$|eval\(/i.test(l) && !(l.length > 200 && !/\s/.test(l))).join('\n');
+  return { text: stripChatter(filtered), messages: 0 };
+}
+
+const ADAPTERS = [
+  { name: 'deepseek', hosts: [/(^|\.)deepseek\.com$/i], extract: extractDeepseek },
+  { name: 'chatgpt', hosts: [/(^|\.)chatgpt\.com$/i, /(^|\.)chat\.openai\.com$/i], extract: extractChatgpt },
+  { name: 'generic', hosts: [/.*/], extract: extractGeneric }
+];
+
+function pickAdapter(url) {
+  let host = '';
+  try {
+    host = new URL(url).hostname;
+  } catch (e) {
+    return null;
+  }
+  return ADAPTERS.find(a => a.hosts.some(h => h.test(host)));
+}
+
+// offline entry point: adapter chosen from url, html supplied by the caller
+function extractFromHtml(html, url) {
+  const adapter = pickAdapter(url) || ADAPTERS[ADAPTERS.length - 1];
+  const result = adapter.extract(html, url);
+  return { adapter: adapter.name, text: result.text, messages: result.messages };
+}
+
+// signal: optional AbortSignal (cancelled generation jobs). Failures are logged and reported
+// in `error` with empty text, so the caller can fall back to an uploaded file.
+async function fetchSourceText(url, { signal } = {}) {
+  const adapter = pickAdapter(url);
+  if (!adapter || !/^https?:$/i.test(new URL(url).protocol)) {
+    console.warn('fetchSourceText: not an http(s) URL:', url);
+    return { adapter: null, text: '', error: 'Not an http(s) URL' };
+  }
+  try {
+    const resp = await fetch(url, { headers: { 'User-Agent': 'Mozilla/5.0' }, timeout: 20000, signal: signal || undefined });
+    if (!resp.ok) throw new Error('Source page not accessible: ' + resp.status);
+    const html = await resp.text();
+    const result = extractFromHtml(html, url);
+    console.log(`source adapter ${result.adapter}: ${result.messages} assistant message(s), ${result.text.length} chars`);
+    return result;
+  } catch (err) {
+    console.error('fetchSourceText error:', err && (err.message || err));
+    return { adapter: adapter.name, text: '', error: (err && err.message) || String(err) };
+  }
+}
+
+module.exports = { ADAPTERS, pickAdapter, extractFromHtml, fetchSourceText, markdownToMarked };
+
+if (require.main === module) {
+  const [file, url = 'https://example.com/'] = process.argv.slice(2);
+  if (!file) {
+    console.error('Usage: node sources.js <saved-page.html> [original-url]');
+    process.exit(1);
+  }
+  const result = extractFromHtml(require('fs').readFileSync(file, 'utf8'), url);
+  console.log(`# adapter: ${result.adapter}, assistant messages: ${result.messages}\n`);
+  console.log(result.text);
+}
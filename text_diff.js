@@ -0,0 +1,105 @@
+// text_diff.js
+// Line-based unified diff (no dependencies), used by the publish dry-run.
+//
+// unifiedDiff(oldText, newText, { fromLabel, toLabel, context }) -> '' when equal, otherwise
+// "--- a\n+++ b\n@@ -l,n +l,n @@\n ..." like `diff -u`.
+// Common prefix/suffix lines are trimmed first; the middle is an LCS table, so very large
+// rewrites (over MAX_CELLS) are shown as one replaced block instead.
+
+const MAX_CELLS = 4e6;
+
+function splitLines(text) {
+  const s = String(text == null ? '' : text).replace(/\r\n/g, '\n');
+  if (!s) return [];
+  const lines = s.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// [{ op: ' '|'-'|'+', line }]
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  const head = a.slice(0, start).map(line => ({ op: ' ', line }));
+  const tail = a.slice(endA).map(line => ({ op: ' ', line }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  let mid;
+  if ((midA.length + 1) * (midB.length + 1) > MAX_CELLS) {
+    mid = midA.map(line => ({ op: '-', line })).concat(midB.map(line => ({ op: '+', line })));
+  } else {
+    // lcs[i][j] = LCS length of midA[i..] and midB[j..], flattened
+    const w = midB.length + 1;
+    const lcs = new Int32Array((midA.length + 1) * w);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i * w + j] = midA[i] === midB[j] ? lcs[(i + 1) * w + j + 1] + 1 : Math.max(lcs[(i + 1) * w + j], lcs[i * w + j + 1]);
+      }
+    }
+    mid = [];
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        mid.push({ op: ' ', line: midA[i] });
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * w + j] >= lcs[i * w + j + 1]) {
+        mid.push({ op: '-', line: midA[i++] });
+      } else {
+        mid.push({ op: '+', line: midB[j++] });
+      }
+    }
+    while (i < midA.length) mid.push({ op: '-', line: midA[i++] });
+    while (j < midB.length) mid.push({ op: '+', line: midB[j++] });
+  }
+  return head.concat(mid, tail);
+}
+
+function unifiedDiff(oldText, newText, { fromLabel = 'a', toLabel = 'b', context = 3 } = {}) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  if (!ops.some(o => o.op !== ' ')) return '';
+
+  // line numbers of each op in the old / new file
+  let oldNo = 0;
+  let newNo = 0;
+  const rows = ops.map(o => {
+    const row = Object.assign({ oldNo: oldNo + 1, newNo: newNo + 1 }, o);
+    if (o.op !== '+') oldNo++;
+    if (o.op !== '-') newNo++;
+    return row;
+  });
+
+  // group changes closer than 2 * context into one hunk
+  const hunks = [];
+  rows.forEach((r, idx) => {
+    if (r.op === ' ') return;
+    const from = Math.max(0, idx - context);
+    const to = Math.min(rows.length, idx + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && from <= last.to) last.to = Math.max(last.to, to);
+    else hunks.push({ from, to });
+  });
+
+  const out = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const h of hunks) {
+    const part = rows.slice(h.from, h.to);
+    const oldLen = part.filter(r => r.op !== '+').length;
+    const newLen = part.filter(r => r.op !== '-').length;
+    // an empty side is reported at the line before it, as diff -u does
+    const oldStart = oldLen ? part.find(r => r.op !== '+').oldNo : part[0].oldNo - 1;
+    const newStart = newLen ? part.find(r => r.op !== '-').newNo : part[0].newNo - 1;
+    out.push(`@@ -${oldStart},${oldLen} +${newStart},${newLen} @@`);
+    part.forEach(r => out.push(r.op + r.line));
+  }
+  return out.join('\n') + '\n';
+}
+
+module.exports = { splitLines, diffLines, unifiedDiff };
@@ -0,0 +1,345 @@
+// themes.js
+// Theme registry for generateFullHtml.
+//
+// Each theme supplies:
+// - sectionOrder: which CV sections are rendered and in what order
+// - typography:   body/heading font stacks, base size and heading weight
+// - layout:       'single' (one column) or 'sidebar' (main column + aside listed in `sidebar`)
+// - colors:       default palette; palette.js overrides it from themeColors and fixes contrast
+// - css(t):       theme stylesheet, t = resolved theme (colors + typography already merged)
+// - template(p):  arranges the rendered header, sections and footer into the page body
+// - creative:     overrides applied when professional === false
+//
+// Unknown theme names: getTheme() returns null so callers can report an error;
+// resolveTheme() falls back to DEFAULT_THEME (documented fallback for library use).
+
+const DEFAULT_THEME = 'modern';
+
+// shared section wrapper used by most templates
+function sectionBlock(s) {
+  return `<section class="section section-${s.key}">
+      <h2>${s.title}</h2>
+      <div class="card">${s.html}</div>
+    </section>`;
+}
+
+function singleColumn({ header, sections, footer }) {
+  return `<div class="wrap">
+    ${header}
+    ${sections.map(sectionBlock).join('\n    ')}
+    ${footer}
+  </div>`;
+}
+
+function withSidebar({ header, sections, footer, theme }) {
+  const aside = sections.filter(s => theme.sidebar.includes(s.key));
+  const main = sections.filter(s => !theme.sidebar.includes(s.key));
+  // single-section pages (static export) have nothing to split
+  if (!aside.length || !main.length) return singleColumn({ header, sections, footer });
+  return `<div class="wrap">
+    ${header}
+    <div class="columns">
+      <main>
+    ${main.map(sectionBlock).join('\n    ')}
+      </main>
+      <aside>
+    ${aside.map(sectionBlock).join('\n    ')}
+      </aside>
+    </div>
+    ${footer}
+  </div>`;
+}
+
+const BASE_CSS = t => `
+:root{--primary:${t.colors.primary};--accent:${t.colors.accent};--bg:${t.colors.bg};--text:${t.colors.text};--surface:${t.colors.surface};--page:${t.colors.page}}
+*{box-sizing:border-box}
+body{font-family:${t.typography.body};font-size:${t.typography.baseSize}px;background:var(--page);margin:0;padding:24px;color:var(--text)}
+h1,h2,h3{font-family:${t.typography.heading};font-weight:${t.typography.headingWeight}}
+.section{margin-bottom:20px}
+.section h2{margin:0 0 8px 0;color:var(--primary)}
+.skill-chip{display:inline-block;padding:6px 10px;margin:6px 6px 0 0;border-radius:999px;background:var(--surface);font-size:13px}
+.skill-group+.skill-group{margin-top:12px}
+.skill-group h3{margin:0;font-size:12px;text-transform:uppercase;letter-spacing:.05em;opacity:.75}
+.skill-level{display:inline-flex;gap:2px;margin-left:6px;vertical-align:middle}
+.skill-level i{width:6px;height:6px;border-radius:50%;background:currentColor;opacity:.25}
+.skill-level i.on{background:var(--accent);opacity:1}
+.skill-chip.skill-match{font-weight:700;outline:2px solid var(--accent);outline-offset:-2px}
+pre{white-space:pre-wrap;font-family:inherit;margin:0}
+.entry+.entry{margin-top:14px;padding-top:14px;border-top:1px solid var(--surface)}
+.card .entry+.entry{border-top-color:var(--bg)}
+.entry-head{display:flex;justify-content:space-between;align-items:baseline;gap:12px;flex-wrap:wrap}
+.entry h3{margin:0;font-size:1.05em}
+.entry-dates{font-size:.85em;opacity:.75;white-space:nowrap}
+.entry-meta{opacity:.8;font-size:.92em;margin-top:2px}
+.entry ul{margin:8px 0 0 0;padding-left:18px}
+.entry p{margin:6px 0 0 0}
+.entry-link{color:var(--primary);font-size:.9em;word-break:break-all}
+.contact{list-style:none;margin:10px 0 0 0;padding:0;font-size:.9em}
+.contact li{display:inline-block;margin:0 14px 4px 0}
+.contact a{color:inherit;text-decoration:none;border-bottom:1px solid var(--accent)}
+.contact .vcard-link{border-bottom-style:dashed}
+.contact-list li{display:block;margin:0 0 8px 0}
+.avatar img{width:100%;height:100%;object-fit:cover;border-radius:inherit;display:block}
+.avatar.avatar-code{font-size:12px!important;letter-spacing:.03em;text-align:center;word-break:break-all;padding:4px}
+.site-nav{display:flex;gap:16px;justify-content:flex-end;max-width:980px;margin:0 auto;font-size:.9em}
+.site-nav a{color:var(--primary);text-decoration:none;opacity:.8}
+.site-nav a[aria-current]{opacity:1;font-weight:600;border-bottom:2px solid var(--accent)}
+.timeline{list-style:none;margin:0;padding:0 0 0 16px;border-left:2px solid var(--accent)}
+.timeline li{position:relative;margin:0 0 12px 0}
+.timeline li::before{content:"";position:absolute;left:-22px;top:5px;width:10px;height:10px;border-radius:50%;background:var(--accent)}
+.timeline li.tl-education::before{background:var(--bg);border:2px solid var(--accent);width:6px;height:6px}
+.tl-date{display:block;font-size:.8em;opacity:.7}
+.tl-sub{opacity:.8}
+.columns{display:grid;grid-template-columns:2fr 1fr;gap:24px}
+@media (max-width:760px){.columns{grid-template-columns:1fr}}
+`;
+
+const THEMES = {
+  modern: {
+    label: 'Modern',
+    description: 'Clean single-column card layout with a gradient avatar.',
+    sectionOrder: ['experience', 'timeline', 'projects', 'education', 'achievements', 'skills'],
+    typography: { body: 'Inter, Arial, sans-serif', heading: 'Inter, Arial, sans-serif', baseSize: 15, headingWeight: 700 },
+    layout: 'single',
+    colors: { primary: '#111111', accent: '#6c5ce7', bg: '#ffffff', text: '#222222', surface: '#f2f3ff', page: '#f6f8fb' },
+    css: t => `
+.wrap{max-width:980px;margin:36px auto;background:var(--bg);border-radius:12px;padding:28px;box-shadow:0 10px 30px rgba(20,20,40,.06)}
+header{display:flex;gap:18px;align-items:center;border-bottom:1px solid var(--surface);padding-bottom:18px;margin-bottom:20px}
+.avatar{width:96px;height:96px;border-radius:14px;background:linear-gradient(135deg,var(--accent),var(--primary));display:flex;align-items:center;justify-content:center;color:#fff;font-weight:700;font-size:28px}
+h1{margin:0;font-size:28px}
+.meta{opacity:.75;margin-top:6px}
+.section h2{font-size:18px}
+.card{background:var(--surface);padding:12px;border-radius:10px}
+.card .skill-chip{background:var(--bg)}
+footer{border-top:1px solid var(--surface);padding-top:12px;opacity:.7;font-size:13px;margin-top:28px}
+`,
+    template: singleColumn,
+    creative: {
+      typography: { heading: '"Poppins", "Segoe UI", sans-serif', headingWeight: 800 },
+      extraCss: `
+.wrap{border-radius:24px}
+.avatar{border-radius:50%;transform:rotate(-6deg)}
+.section h2{font-size:22px;letter-spacing:-.5px}
+.section h2::after{content:"";display:block;width:48px;height:4px;margin-top:6px;border-radius:4px;background:linear-gradient(90deg,var(--accent),var(--primary))}
+`
+    }
+  },
+
+  classic: {
+    label: 'Classic',
+    description: 'Traditional serif résumé with ruled sections, suited to print.',
+    sectionOrder: ['experience', 'education', 'skills', 'achievements', 'projects', 'timeline'],
+    typography: { body: 'Georgia, "Times New Roman", serif', heading: 'Georgia, "Times New Roman", serif', baseSize: 16, headingWeight: 600 },
+    layout: 'single',
+    colors: { primary: '#1f2a44', accent: '#8a6d3b', bg: '#ffffff', text: '#1a1a1a', surface: '#f3f1ec', page: '#ecebe7' },
+    css: t => `
+.wrap{max-width:860px;margin:24px auto;background:var(--bg);padding:48px 56px;border:1px solid #ddd}
+header{text-align:center;border-bottom:2px solid var(--primary);padding-bottom:16px;margin-bottom:24px}
+.avatar{display:none}
+h1{margin:0;font-size:32px;letter-spacing:1px;text-transform:uppercase;color:var(--primary)}
+.meta{opacity:.85;margin-top:8px;font-style:italic}
+.section h2{font-size:15px;text-transform:uppercase;letter-spacing:2px;border-bottom:1px solid var(--accent);padding-bottom:4px}
+.card{padding:4px 0}
+.skill-chip{border-radius:0;background:none;padding:0 8px 0 0;margin:0}
+.skill-chip+.skill-chip::before{content:"· ";color:var(--accent)}
+footer{border-top:1px solid var(--surface);padding-top:12px;opacity:.7;font-size:12px;margin-top:28px;text-align:center}
+`,
+    template: singleColumn,
+    creative: {
+      layout: 'sidebar',
+      sidebar: ['skills', 'education', 'timeline'],
+      extraCss: `
+header{text-align:left;border-bottom:0;border-left:6px solid var(--accent);padding-left:18px}
+h1{text-transform:none;font-style:italic}
+`
+    }
+  },
+
+  cyber: {
+    label: 'Cyber',
+    description: 'Dark terminal look with monospace type and neon accents.',
+    sectionOrder: ['skills', 'projects', 'experience', 'timeline', 'achievements', 'education'],
+    typography: { body: '"JetBrains Mono", "Fira Code", Consolas, monospace', heading: '"JetBrains Mono", "Fira Code", Consolas, monospace', baseSize: 14, headingWeight: 700 },
+    layout: 'single',
+    colors: { primary: '#39ff14', accent: '#00e5ff', bg: '#0d1117', text: '#c9d1d9', surface: '#161b22', page: '#05070a' },
+    css: t => `
+.wrap{max-width:1040px;margin:24px auto;background:var(--bg);border:1px solid var(--primary);padding:24px;box-shadow:0 0 24px rgba(57,255,20,.15)}
+header{display:flex;gap:18px;align-items:center;padding-bottom:16px;margin-bottom:20px;border-bottom:1px dashed var(--accent)}
+.avatar{width:72px;height:72px;border:2px solid var(--primary);display:flex;align-items:center;justify-content:center;color:var(--primary);font-size:28px}
+h1{margin:0;font-size:26px;color:var(--primary)}
+h1::before{content:"$ ";color:var(--accent)}
+.meta{color:var(--text);opacity:.8;margin-top:6px}
+.section h2{font-size:15px;text-transform:lowercase}
+.section h2::before{content:"> ";color:var(--accent)}
+.card{background:var(--surface);padding:12px;border-left:3px solid var(--primary)}
+.skill-chip{border-radius:2px;border:1px solid var(--accent);color:var(--accent)}
+footer{border-top:1px dashed var(--accent);padding-top:12px;opacity:.6;font-size:12px;margin-top:28px}
+`,
+    template: singleColumn,
+    creative: {
+      layout: 'sidebar',
+      sidebar: ['skills', 'achievements', 'timeline'],
+      extraCss: `
+.wrap{border-width:2px;box-shadow:0 0 40px rgba(0,229,255,.25)}
+h1{text-shadow:0 0 8px var(--primary)}
+.card{border-left-color:var(--accent)}
+`
+    }
+  },
+
+  photographer: {
+    label: 'Photographer',
+    description: 'Portfolio-first layout: full-width hero, projects up front, details in a sidebar.',
+    sectionOrder: ['projects', 'experience', 'achievements', 'timeline', 'skills', 'education'],
+    typography: { body: '"Helvetica Neue", Arial, sans-serif', heading: '"Playfair Display", Georgia, serif', baseSize: 15, headingWeight: 700 },
+    layout: 'sidebar',
+    sidebar: ['skills', 'education', 'timeline'],
+    colors: { primary: '#222222', accent: '#c59d5f', bg: '#ffffff', text: '#2b2b2b', surface: '#f5f1ea', page: '#ffffff' },
+    css: t => `
+body{padding:0}
+.wrap{max-width:1180px;margin:0 auto;background:var(--bg)}
+header{min-height:280px;display:flex;flex-direction:column;justify-content:flex-end;padding:40px;margin-bottom:32px;color:#fff;background:linear-gradient(160deg,var(--primary),var(--accent))}
+.avatar{display:none}
+h1{margin:0;font-size:52px;line-height:1.05}
+.meta{margin-top:12px;max-width:640px;opacity:.9}
+.columns{padding:0 40px}
+.section h2{font-size:24px;font-style:italic}
+.card{padding:8px 0;border-top:1px solid var(--surface)}
+footer{padding:24px 40px;opacity:.7;font-size:12px;margin-top:32px;border-top:1px solid var(--surface)}
+`,
+    template: withSidebar,
+    creative: {
+      layout: 'single',
+      typography: { heading: '"Bodoni Moda", "Didot", serif' },
+      extraCss: `
+header{min-height:420px;text-align:center;align-items:center;justify-content:center}
+h1{font-size:72px;letter-spacing:-2px}
+.wrap > .section{padding:0 40px}
+.section-projects .card{column-count:2;column-gap:32px}
+`
+    }
+  },
+
+  minimal: {
+    label: 'Minimal',
+    description: 'Plain text-first page with no cards or shadows.',
+    sectionOrder: ['experience', 'education', 'projects', 'skills', 'achievements', 'timeline'],
+    typography: { body: 'system-ui, -apple-system, "Segoe UI", sans-serif', heading: 'system-ui, -apple-system, "Segoe UI", sans-serif', baseSize: 16, headingWeight: 600 },
+    layout: 'single',
+    colors: { primary: '#111111', accent: '#555555', bg: '#ffffff', text: '#222222', surface: '#f1f1f1', page: '#ffffff' },
+    css: t => `
+.wrap{max-width:720px;margin:40px auto}
+header{margin-bottom:32px}
+.avatar{display:none}
+h1{margin:0;font-size:30px}
+.meta{color:var(--accent);margin-top:8px}
+.section h2{font-size:16px}
+footer{opacity:.6;font-size:12px;margin-top:40px}
+`,
+    template: singleColumn,
+    creative: {
+      typography: { heading: '"Space Grotesk", system-ui, sans-serif' },
+      extraCss: `
+h1{font-size:44px;letter-spacing:-1px}
+.section h2{color:var(--accent)}
+.section h2::before{content:"— "}
+`
+    }
+  }
+};
+
+// friendly aliases (frontend placeholder uses "photo")
+const ALIASES = {
+  photo: 'photographer',
+  photography: 'photographer',
+  portfolio: 'photographer',
+  hacker: 'cyber',
+  terminal: 'cyber',
+  traditional: 'classic',
+  simple: 'minimal',
+  default: 'modern'
+};
+
+function normalizeThemeName(name) {
+  const key = String(name || '').trim().toLowerCase();
+  if (!key) return DEFAULT_THEME;
+  return Object.prototype.hasOwnProperty.call(ALIASES, key) ? ALIASES[key] : key;
+}
+
+// returns the raw theme definition or null when the name is unknown
+function getTheme(name) {
+  const key = normalizeThemeName(name);
+  return Object.prototype.hasOwnProperty.call(THEMES, key) ? Object.assign({ name: key }, THEMES[key]) : null;
+}
+
+// print-ready variant: appended after the theme CSS, so it applies on screen too (the preview is the printout)
+const PAPER_SIZES = { a4: 'A4', letter: 'letter' };
+const PAPER_WIDTHS = { a4: '210mm', letter: '8.5in' };
+
+function printCss(paper = 'a4') {
+  const key = Object.prototype.hasOwnProperty.call(PAPER_SIZES, paper) ? paper : 'a4';
+  return `
+@page{size:${PAPER_SIZES[key]};margin:16mm 14mm}
+*{box-shadow:none!important;text-shadow:none!important}
+body{background:#fff!important;padding:0;font-size:11pt;-webkit-print-color-adjust:exact;print-color-adjust:exact}
+.wrap{max-width:${PAPER_WIDTHS[key]};margin:0 auto;padding:0;background:none!important;border:0!important;border-radius:0}
+header{min-height:0!important;padding:0 0 10px 0!important;margin-bottom:14px!important;background:none!important;color:var(--text)!important;text-align:left!important;display:flex!important;flex-direction:row!important;align-items:center!important;justify-content:flex-start!important}
+.avatar{width:56px!important;height:56px!important;font-size:20px!important;background:var(--primary)!important;color:#fff!important}
+.card,.card .skill-chip,.skill-chip{background:none!important;padding:0;border-radius:0}
+.skill-chip{border:1px solid var(--accent);padding:2px 8px;margin:4px 4px 0 0}
+.columns{grid-template-columns:2fr 1fr}
+.section{break-inside:auto;margin-bottom:12px}
+.section h2{break-after:avoid}
+.entry,.timeline li{break-inside:avoid}
+.entry h3,.skill-group h3{break-after:avoid}
+.site-nav,.vcard-link{display:none!important}
+a{color:inherit!important;text-decoration:none!important}
+.contact a[href^="http"]::after{content:" " attr(href);opacity:.75}
+footer{display:none}
+@media print{body{padding:0}.wrap{max-width:none}.columns{grid-template-columns:2fr 1fr}}
+`;
+}
+
+// merge the theme with its creative overrides (professional === false);
+// unknown names fall back to DEFAULT_THEME
+function resolveTheme(name, professional = true) {
+  const theme = getTheme(name) || getTheme(DEFAULT_THEME);
+  const variant = professional === false || professional === 'false' ? 'creative' : 'professional';
+  const over = variant === 'creative' ? (theme.creative || {}) : {};
+
+  const resolved = {
+    name: theme.name,
+    label: theme.label,
+    variant,
+    sectionOrder: over.sectionOrder || theme.sectionOrder,
+    typography: Object.assign({}, theme.typography, over.typography),
+    layout: over.layout || theme.layout,
+    sidebar: over.sidebar || theme.sidebar || [],
+    colors: Object.assign({}, theme.colors, over.colors),
+    template: over.layout ? (over.layout === 'sidebar' ? withSidebar : singleColumn) : theme.template
+  };
+  resolved.css = t => BASE_CSS(t) + theme.css(t) + (over.extraCss || '');
+  return resolved;
+}
+
+// public listing for GET /themes
+function listThemes() {
+  return Object.keys(THEMES).map(key => {
+    const t = THEMES[key];
+    return {
+      name: key,
+      label: t.label,
+      description: t.description,
+      layout: t.layout,
+      sectionOrder: t.sectionOrder,
+      typography: t.typography,
+      aliases: Object.keys(ALIASES).filter(a => ALIASES[a] === key),
+      creative: {
+        layout: (t.creative && t.creative.layout) || t.layout,
+        sectionOrder: (t.creative && t.creative.sectionOrder) || t.sectionOrder
+      }
+    };
+  });
+}
+
+module.exports = { DEFAULT_THEME, THEMES, PAPER_SIZES, getTheme, resolveTheme, listThemes, printCss };
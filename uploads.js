@@ -0,0 +1,137 @@
+// uploads.js
+// Upload store helpers: opaque IDs, content checks and TTL cleanup.
+//
+// Files live in UPLOAD_DIR as "<id><ext>" where id is 32 random hex chars handed to
+// the client by /upload-cv. Clients never see (or send) server paths: /generate only
+// resolves IDs of that exact shape that exist in UPLOAD_DIR, so it cannot be pointed
+// at arbitrary files. Because the ID is the filename, uploads survive a restart.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const UPLOAD_ID_RE = /^[a-f0-9]{32}$/;
+
+// extension -> accepted client MIME types + expected magic-byte type
+// (application/octet-stream is what many clients send for anything; the magic bytes decide)
+const ALLOWED_TYPES = {
+  '.pdf': { mimes: ['application/pdf'], kind: 'pdf' },
+  '.docx': { mimes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'application/zip'], kind: 'docx' },
+  '.doc': { mimes: ['application/msword'], kind: 'doc' },
+  '.txt': { mimes: ['text/plain'], kind: 'text' },
+  '.md': { mimes: ['text/markdown', 'text/plain'], kind: 'text' },
+  '.html': { mimes: ['text/html'], kind: 'text' },
+  '.htm': { mimes: ['text/html'], kind: 'text' }
+};
+
+// images for the exported site (avatar, project shots); SVG is left out since it can carry script
+const IMAGE_TYPES = {
+  '.png': { mimes: ['image/png'], kind: 'png' },
+  '.jpg': { mimes: ['image/jpeg'], kind: 'jpeg' },
+  '.jpeg': { mimes: ['image/jpeg'], kind: 'jpeg' },
+  '.gif': { mimes: ['image/gif'], kind: 'gif' },
+  '.webp': { mimes: ['image/webp'], kind: 'webp' }
+};
+
+function newUploadId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function isValidUploadId(id) {
+  return typeof id === 'string' && UPLOAD_ID_RE.test(id);
+}
+
+// multer fileFilter check: extension + client-declared MIME
+function checkDeclaredType(originalname, mimetype, types = ALLOWED_TYPES) {
+  const ext = path.extname(originalname || '').toLowerCase();
+  const allowed = types[ext];
+  if (!allowed) return `Unsupported file type "${ext || 'none'}". Upload one of: ${Object.keys(types).join(', ')}`;
+  if (mimetype && mimetype !== 'application/octet-stream' && !allowed.mimes.includes(mimetype)) {
+    return `MIME type ${mimetype} does not match ${ext}`;
+  }
+  return null;
+}
+
+// sniff the real content type from magic bytes
+function detectFileKind(buffer) {
+  if (!buffer || !buffer.length) return null;
+  if (buffer.slice(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b && buffer[2] === 0x03 && buffer[3] === 0x04) {
+    // zip central directory stores names uncompressed; a Word document always has word/document.xml
+    return buffer.includes('word/document.xml') ? 'docx' : 'zip';
+  }
+  if (buffer.slice(0, 8).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]))) return 'doc';
+  if (buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (/^GIF8[79]a/.test(buffer.slice(0, 6).toString('latin1'))) return 'gif';
+  if (buffer.slice(0, 4).toString('latin1') === 'RIFF' && buffer.slice(8, 12).toString('latin1') === 'WEBP') return 'webp';
+  if (!buffer.slice(0, 8192).includes(0)) return 'text';
+  return null;
+}
+
+// post-upload check of the stored file; returns an error message or null
+function verifyStoredUpload(localPath, types = ALLOWED_TYPES) {
+  const ext = path.extname(localPath).toLowerCase();
+  const expected = types[ext] && types[ext].kind;
+  const kind = detectFileKind(fs.readFileSync(localPath));
+  if (!kind) return 'File content is not a recognised document';
+  if (kind !== expected) return `File content (${kind}) does not match its extension ${ext}`;
+  return null;
+}
+
+// id -> absolute path, or null when the id is malformed / unknown / expired
+function resolveUpload(uploadDir, id, types = ALLOWED_TYPES) {
+  if (!isValidUploadId(id)) return null;
+  for (const ext of Object.keys(types)) {
+    const p = path.join(uploadDir, id + ext);
+    if (fs.existsSync(p)) return p;
+  }
+  return null;
+}
+
+// delete uploads older than ttlMs; returns the number of files removed
+function sweepUploads(uploadDir, ttlMs) {
+  let removed = 0;
+  const cutoff = Date.now() - ttlMs;
+  let names = [];
+  try {
+    names = fs.readdirSync(uploadDir);
+  } catch (err) {
+    console.warn('upload sweep: cannot read', uploadDir, err && (err.message || err));
+    return 0;
+  }
+  for (const name of names) {
+    const p = path.join(uploadDir, name);
+    try {
+      const st = fs.statSync(p);
+      if (st.isFile() && st.mtimeMs < cutoff) {
+        fs.unlinkSync(p);
+        removed++;
+      }
+    } catch (err) {
+      console.warn('upload sweep: failed on', name, err && (err.message || err));
+    }
+  }
+  if (removed) console.log(`upload sweep: removed ${removed} expired upload(s)`);
+  return removed;
+}
+
+function startUploadSweeper(uploadDir, ttlMs, intervalMs) {
+  sweepUploads(uploadDir, ttlMs);
+  const timer = setInterval(() => sweepUploads(uploadDir, ttlMs), intervalMs);
+  if (timer.unref) timer.unref(); // never keep the process alive just for cleanup
+  return timer;
+}
+
+module.exports = {
+  ALLOWED_TYPES,
+  IMAGE_TYPES,
+  newUploadId,
+  isValidUploadId,
+  checkDeclaredType,
+  detectFileKind,
+  verifyStoredUpload,
+  resolveUpload,
+  sweepUploads,
+  startUploadSweeper
+};